@@ -8,27 +8,107 @@ const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const { spawn } = require('child_process');
-const { generateManifest } = require('./src/packagePrep');
+const { generateManifest, previewIgnoreRules } = require('./src/packagePrep');
+const { scanPackage, exportScanReport } = require('./src/packageScan');
 const { detectDelta } = require('./src/deltaDetector');
-const { UploadManager } = require('./src/uploadManager');
+const { UploadManager, exportFailureReport } = require('./src/uploadManager');
+const { UploadSessionStore, SESSION_STATUS, hashFile } = require('./src/uploadSessions');
 const { R2Uploader } = require('./src/r2Uploader');
+const { BandwidthLimiter } = require('./src/bandwidthLimiter');
+const { ProfileStore } = require('./src/profileStore');
+const { UserStore } = require('./src/userStore');
 
 let mainWindow;
 let loginWindow;
+let currentUser = null; // Signed-in user ({ username, admin }), recorded with uploads and promotions
 let currentUploadManager = null; // Store current upload manager for pause/resume
+const uploadBandwidthLimiter = new BandwidthLimiter(); // Upload rate limit, kept across uploads
 let updateDownloaded = false; // Track if update was successfully downloaded
 let downloadedUpdatePath = null; // Store path to downloaded portable exe
 let pendingUpdateUrl = null; // Store direct download URL from GitHub
 let pendingUpdateVersion = null; // Store pending update version
+let uploadSessionStore = null; // Upload session journals (created lazily, needs app paths)
 
-// Login credentials
-const ADMIN_USERNAME = 'Admin';
-const ADMIN_PASSWORD = 'Mostafa';
+function getUploadSessionStore() {
+    if (!uploadSessionStore) {
+        uploadSessionStore = new UploadSessionStore(path.join(app.getPath('userData'), 'upload-sessions'));
+    }
+    return uploadSessionStore;
+}
+
+let profileStorePromise = null; // R2 profiles (opened lazily, electron-store is loaded with import())
+
+function getProfileStore() {
+    if (!profileStorePromise) {
+        profileStorePromise = ProfileStore.open();
+    }
+    return profileStorePromise;
+}
+
+/**
+ * R2 configuration of a profile, with its decrypted keys
+ * overrides (e.g. unsaved form values of the Profiles tab) replace the saved fields; empty keys keep the saved ones
+ */
+async function resolveR2Config(profileId, overrides = {}) {
+    if (!profileId) {
+        throw new Error('No R2 profile selected');
+    }
+    
+    const profile = (await getProfileStore()).getWithKeys(profileId);
+    const config = { ...profile };
+    for (const [field, value] of Object.entries(overrides)) {
+        if (value) {
+            config[field] = value;
+        }
+    }
+    
+    if (!config.accessKeyId || !config.secretAccessKey) {
+        throw new Error(`R2 profile "${profile.name}" has no access keys. Enter them in the R2 Profiles tab.`);
+    }
+    
+    return {
+        bucket: config.bucket,
+        endpoint: config.endpoint,
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey,
+        keyPrefix: config.keyPrefix,
+        publicBaseUrl: config.publicBaseUrl,
+        buildType: config.buildType,
+        profileName: profile.name
+    };
+}
+
+let userStorePromise = null; // Uploader accounts (opened lazily, electron-store is loaded with import())
+
+function getUserStore() {
+    if (!userStorePromise) {
+        userStorePromise = UserStore.open();
+    }
+    return userStorePromise;
+}
+
+/**
+ * Signed-in user (administrator only with admin: true)
+ */
+function requireUser({ admin = false } = {}) {
+    if (!currentUser) {
+        throw new Error('Not signed in');
+    }
+    if (admin && !currentUser.admin) {
+        throw new Error('Only administrators can do this');
+    }
+    return currentUser;
+}
+
+// Audit trail of sign-ins, user changes, uploads and promotions (electron-log file)
+function audit(message, username = currentUser ? currentUser.username : null) {
+    log.info(`[Audit] ${username || 'unknown user'}: ${message}`);
+}
 
 function createLoginWindow() {
     loginWindow = new BrowserWindow({
         width: 480,
-        height: 520,
+        height: 600,
         resizable: false,
         frame: true,
         autoHideMenuBar: true,
@@ -41,13 +121,13 @@ function createLoginWindow() {
         icon: path.join(__dirname, 'assets', 'icon-white_s.ico'),
         show: false
     });
-
+    
     loginWindow.loadFile('login.html');
-
+    
     loginWindow.once('ready-to-show', () => {
         loginWindow.show();
     });
-
+    
     loginWindow.on('closed', () => {
         loginWindow = null;
         // If login window is closed without successful login, quit the app
@@ -69,9 +149,9 @@ function createWindow() {
         icon: path.join(__dirname, 'assets', 'icon-white_s.ico'),
         show: false
     });
-
+    
     mainWindow.loadFile('index.html');
-
+    
     mainWindow.once('ready-to-show', () => {
         mainWindow.show();
         // Close login window if it's still open
@@ -79,12 +159,12 @@ function createWindow() {
             loginWindow.close();
         }
     });
-
+    
     // Open DevTools in development
     if (process.env.NODE_ENV === 'development') {
         mainWindow.webContents.openDevTools();
     }
-
+    
     mainWindow.on('closed', () => {
         mainWindow = null;
     });
@@ -171,7 +251,7 @@ process.on('unhandledRejection', (reason, promise) => {
 app.whenReady().then(() => {
     // Show login window first
     createLoginWindow();
-
+    
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
             // If no windows, show login again
@@ -202,40 +282,143 @@ function sendUpdateLog(message, status = 'info') {
     log.info(`[Update Log] ${message}`);
 }
 
+/**
+ * Open the main window for a signed-in user and check for updates
+ */
+function startSession(user) {
+    currentUser = user;
+    createWindow();
+    
+    // Check for updates after main window is ready (works in both dev and packaged modes)
+    setTimeout(() => {
+        if (mainWindow) {
+            const mode = app.isPackaged ? 'packaged' : 'development';
+            const message = `Automatic update check initiated in ${mode} mode...`;
+            console.log(`[Auto-Updater] ${message}`);
+            log.info(`Checking for updates in ${mode} mode`);
+            sendUpdateLog(message, 'info');
+            // Handle promise to prevent unhandled rejections
+            autoUpdater.checkForUpdates().catch((error) => {
+                // Ignore YML file errors - we're using GitHub API only
+                if (error.message && error.message.includes('dev-app-update.yml') && error.message.includes('ENOENT')) {
+                    log.info('Ignoring dev-app-update.yml error - using GitHub API only');
+                    // Don't log as error, just info
+                    return;
+                }
+                // Errors are already handled by the error event listener
+                // This just prevents unhandled promise rejection warnings
+                log.debug('Update check promise rejected (handled by error listener):', error.message);
+            });
+        }
+    }, 1000);
+}
+
+// Whether the first administrator still has to be created (first run)
+ipcMain.handle('get-login-state', async () => {
+    try {
+        const needsSetup = (await getUserStore()).needsSetup();
+        return { success: true, needsSetup };
+    } catch (error) {
+        console.error('Error reading users:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// First-run setup: create the administrator and sign in
+ipcMain.handle('setup-admin', async (event, credentials) => {
+    try {
+        const { username, password } = credentials;
+        const user = await (await getUserStore()).setupAdmin(username, password);
+        audit('created the administrator account (first run)', user.username);
+        startSession(user);
+        return { success: true };
+    } catch (error) {
+        console.error('Error setting up administrator:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // Login handler
 ipcMain.handle('login', async (event, credentials) => {
     const { username, password } = credentials;
     
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-        // Login successful - create main window
-        createWindow();
-        
-        // Check for updates after main window is ready (works in both dev and packaged modes)
-        setTimeout(() => {
-            if (mainWindow) {
-                const mode = app.isPackaged ? 'packaged' : 'development';
-                const message = `Automatic update check initiated in ${mode} mode...`;
-                console.log(`[Auto-Updater] ${message}`);
-                log.info(`Checking for updates in ${mode} mode`);
-                sendUpdateLog(message, 'info');
-                // Handle promise to prevent unhandled rejections
-                autoUpdater.checkForUpdates().catch((error) => {
-                    // Ignore YML file errors - we're using GitHub API only
-                    if (error.message && error.message.includes('dev-app-update.yml') && error.message.includes('ENOENT')) {
-                        log.info('Ignoring dev-app-update.yml error - using GitHub API only');
-                        // Don't log as error, just info
-                        return;
-                    }
-                    // Errors are already handled by the error event listener
-                    // This just prevents unhandled promise rejection warnings
-                    log.debug('Update check promise rejected (handled by error listener):', error.message);
-                });
-            }
-        }, 1000);
-        
+    try {
+        const user = await (await getUserStore()).authenticate(username, password);
+        audit('signed in', user.username);
+        startSession(user);
+        return { success: true };
+    } catch (error) {
+        audit(`failed sign-in (${error.reason || error.message})`, username);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-current-user', async () => {
+    return { success: true, user: currentUser };
+});
+
+// Change the signed-in user's own password
+ipcMain.handle('change-password', async (event, currentPassword, newPassword) => {
+    try {
+        const user = requireUser();
+        await (await getUserStore()).changePassword(user.username, currentPassword, newPassword);
+        audit('changed their password');
+        return { success: true };
+    } catch (error) {
+        console.error('Error changing password:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// User management (administrators only)
+ipcMain.handle('list-users', async () => {
+    try {
+        requireUser({ admin: true });
+        const users = (await getUserStore()).list();
+        return { success: true, users };
+    } catch (error) {
+        console.error('Error listing users:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('add-user', async (event, user) => {
+    try {
+        requireUser({ admin: true });
+        const added = await (await getUserStore()).addUser(user);
+        audit(`added ${added.admin ? 'administrator' : 'user'} ${added.username}`);
+        return { success: true, user: added };
+    } catch (error) {
+        console.error('Error adding user:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('remove-user', async (event, username) => {
+    try {
+        const admin = requireUser({ admin: true });
+        if (username.toLowerCase() === admin.username.toLowerCase()) {
+            throw new Error('You cannot remove your own account');
+        }
+        (await getUserStore()).removeUser(username);
+        audit(`removed user ${username}`);
+        return { success: true };
+    } catch (error) {
+        console.error('Error removing user:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Set another user's password (also unlocks a locked account)
+ipcMain.handle('set-user-password', async (event, username, password) => {
+    try {
+        requireUser({ admin: true });
+        await (await getUserStore()).setPassword(username, password);
+        audit(`set the password of ${username}`);
         return { success: true };
-    } else {
-        return { success: false, error: 'Invalid username or password' };
+    } catch (error) {
+        console.error('Error setting password:', error);
+        return { success: false, error: error.message };
     }
 });
 
@@ -789,6 +972,7 @@ ipcMain.handle('save-file', async (event, options = {}) => {
 // File operations
 ipcMain.handle('read-file', async (event, filePath) => {
     try {
+        requireUser();
         const data = await fs.readFile(filePath, 'utf-8');
         return { success: true, data };
     } catch (error) {
@@ -798,6 +982,7 @@ ipcMain.handle('read-file', async (event, filePath) => {
 
 ipcMain.handle('write-file', async (event, filePath, data) => {
     try {
+        requireUser();
         await fs.writeFile(filePath, data, 'utf-8');
         return { success: true };
     } catch (error) {
@@ -807,6 +992,7 @@ ipcMain.handle('write-file', async (event, filePath, data) => {
 
 ipcMain.handle('file-exists', async (event, filePath) => {
     try {
+        requireUser();
         await fs.access(filePath);
         return true;
     } catch {
@@ -816,6 +1002,7 @@ ipcMain.handle('file-exists', async (event, filePath) => {
 
 ipcMain.handle('get-file-stats', async (event, filePath) => {
     try {
+        requireUser();
         const stats = await fs.stat(filePath);
         return {
             exists: true,
@@ -831,6 +1018,7 @@ ipcMain.handle('get-file-stats', async (event, filePath) => {
 // Package preparation
 ipcMain.handle('generate-manifest', async (event, options) => {
     try {
+        requireUser();
         // Send progress updates to renderer
         const sendProgress = (data) => {
             mainWindow.webContents.send('progress-update', data);
@@ -840,6 +1028,45 @@ ipcMain.handle('generate-manifest', async (event, options) => {
         return { success: true, ...result };
     } catch (error) {
         console.error('Error generating manifest:', error);
+        return { success: false, error: error.message, failedFiles: error.failedFiles };
+    }
+});
+
+// Dry-run package scan
+ipcMain.handle('scan-package', async (event, options) => {
+    try {
+        requireUser();
+        const sendProgress = (data) => {
+            mainWindow.webContents.send('progress-update', data);
+        };
+        
+        const report = await scanPackage(options, sendProgress);
+        return { success: true, report };
+    } catch (error) {
+        console.error('Error scanning package:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('export-scan-report', async (event, report, filePath) => {
+    try {
+        requireUser();
+        await exportScanReport(report, filePath);
+        return { success: true, filePath };
+    } catch (error) {
+        console.error('Error exporting scan report:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Include/exclude rules preview
+ipcMain.handle('preview-ignore-rules', async (event, options) => {
+    try {
+        requireUser();
+        const result = await previewIgnoreRules(options);
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('Error previewing rules:', error);
         return { success: false, error: error.message };
     }
 });
@@ -847,6 +1074,7 @@ ipcMain.handle('generate-manifest', async (event, options) => {
 // Delta detection
 ipcMain.handle('detect-delta', async (event, oldManifestPath, newManifestPath) => {
     try {
+        requireUser();
         const oldManifestData = await fs.readFile(oldManifestPath, 'utf-8');
         const newManifestData = await fs.readFile(newManifestPath, 'utf-8');
         
@@ -858,9 +1086,86 @@ ipcMain.handle('detect-delta', async (event, oldManifestPath, newManifestPath) =
     }
 });
 
-// R2 connection test
-ipcMain.handle('test-r2-connection', async (event, config) => {
+// R2 profiles (without keys) and the selected one
+ipcMain.handle('list-profiles', async () => {
+    try {
+        requireUser();
+        const result = (await getProfileStore()).list();
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('Error listing R2 profiles:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Create or update a profile (keys are encrypted with safeStorage, empty keys keep the saved ones)
+ipcMain.handle('save-profile', async (event, profile) => {
+    try {
+        requireUser({ admin: true });
+        const saved = (await getProfileStore()).save(profile);
+        return { success: true, profile: saved };
+    } catch (error) {
+        console.error('Error saving R2 profile:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('delete-profile', async (event, profileId) => {
+    try {
+        requireUser({ admin: true });
+        const store = await getProfileStore();
+        store.remove(profileId);
+        return { success: true, ...store.list() };
+    } catch (error) {
+        console.error('Error deleting R2 profile:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Select the profile used by all tabs
+ipcMain.handle('set-active-profile', async (event, profileId) => {
     try {
+        requireUser();
+        (await getProfileStore()).setActive(profileId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error selecting R2 profile:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Export profiles to a JSON file (keys are never exported)
+ipcMain.handle('export-profiles', async (event, filePath) => {
+    try {
+        requireUser();
+        const data = (await getProfileStore()).exportProfiles();
+        await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+        return { success: true, filePath, count: data.profiles.length };
+    } catch (error) {
+        console.error('Error exporting R2 profiles:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Import profiles from an export file - profiles with an existing name are updated, others added without keys
+ipcMain.handle('import-profiles', async (event, filePath) => {
+    try {
+        requireUser({ admin: true });
+        const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        const store = await getProfileStore();
+        const result = store.importProfiles(data);
+        return { success: true, ...result, ...store.list() };
+    } catch (error) {
+        console.error('Error importing R2 profiles:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// R2 connection test of a profile (overrides are the unsaved values of the profile form, a new profile has no id)
+ipcMain.handle('test-r2-connection', async (event, profileId, overrides = {}) => {
+    try {
+        requireUser();
+        const config = profileId ? await resolveR2Config(profileId, overrides) : overrides;
         const uploader = new R2Uploader(config);
         const result = await uploader.testConnection();
         return result;
@@ -871,23 +1176,151 @@ ipcMain.handle('test-r2-connection', async (event, config) => {
 });
 
 // Upload to R2
+// Every upload is journaled as a session; pass resumeSessionId to continue an interrupted one
+// (with retryChunks to re-upload only the chunks that failed)
 ipcMain.handle('upload-to-r2', async (event, options) => {
+    let session = null;
     try {
-        const { config, ...uploadOptions } = options;
-        currentUploadManager = new UploadManager(config);
+        const { profileId, resumeSessionId, ...uploadOptions } = options;
+        const user = requireUser();
+        const config = await resolveR2Config(profileId);
+        uploadOptions.uploadedBy = user.username;
+        const sessionStore = getUploadSessionStore();
+        
+        if (resumeSessionId) {
+            session = await sessionStore.load(resumeSessionId);
+            
+            const manifestHash = await hashFile(session.options.newManifestPath).catch(() => null);
+            if (manifestHash !== session.header.manifestHash) {
+                session = null;
+                throw new Error('The manifest of this session was changed or removed since the upload started. Start a new upload instead.');
+            }
+            if (session.header.bucket && session.header.bucket !== config.bucket) {
+                session = null;
+                throw new Error(`This session uploads to bucket ${session.header.bucket}, but profile "${config.profileName}" uses ${config.bucket}.`);
+            }
+            if (session.options.buildType !== config.buildType) {
+                const { buildType } = session.options;
+                session = null;
+                throw new Error(`This session uploads a ${buildType} build, but profile "${config.profileName}" is for ${config.buildType}.`);
+            }
+            
+            // Settings of this run (parallel uploads, publish anyway, retried chunks, user) apply to the resumed session
+            const { concurrency, publishAnyway = false, retryChunks = null, uploadedBy } = uploadOptions;
+            Object.assign(uploadOptions, session.options, {
+                concurrency: concurrency || session.options.concurrency,
+                publishAnyway,
+                retryChunks,
+                uploadedBy
+            });
+            await session.setStatus(SESSION_STATUS.RUNNING);
+        } else {
+            // The build type folder comes from the profile
+            uploadOptions.buildType = config.buildType;
+            session = await sessionStore.create(uploadOptions, config);
+        }
+        
+        currentUploadManager = new UploadManager(config, { bandwidthLimiter: uploadBandwidthLimiter });
         
         // Send progress updates to renderer
         const sendProgress = (data) => {
             mainWindow.webContents.send('progress-update', data);
         };
         
-        // buildType is already in uploadOptions from renderer
-        const result = await currentUploadManager.upload(uploadOptions, sendProgress);
+        const result = await currentUploadManager.upload({ ...uploadOptions, session }, sendProgress);
         currentUploadManager = null; // Clear reference when done
-        return { success: true, ...result };
+        
+        audit(`upload of ${uploadOptions.buildType} ${uploadOptions.version} to ${config.bucket} (profile "${config.profileName}", session ${session.id}) ${result.success ? 'published' : result.cancelled ? 'cancelled' : 'failed'}` +
+            ` - ${result.stats.uploadedChunks} uploaded, ${result.stats.failedChunks} failed chunks`);
+        
+        // Published sessions are done, failed ones (and ones published anyway with failed chunks) stay listed for resume
+        if (result.success && result.stats.failedChunks === 0) {
+            await sessionStore.remove(session.id);
+        } else if (result.success) {
+            await session.setStatus(SESSION_STATUS.FAILED, `Published anyway with ${result.stats.failedChunks} failed chunks`);
+        } else {
+            await session.setStatus(result.cancelled ? SESSION_STATUS.CANCELLED : SESSION_STATUS.FAILED, result.error);
+        }
+        
+        return { success: true, ...result, sessionId: session.id, version: uploadOptions.version, buildType: uploadOptions.buildType, bucket: config.bucket };
     } catch (error) {
         console.error('Error uploading to R2:', error);
         currentUploadManager = null; // Clear reference on error
+        if (session) {
+            audit(`upload session ${session.id} failed: ${error.message}`);
+            await session.setStatus(SESSION_STATUS.FAILED, error.message);
+        }
+        return { success: false, error: error.message, sessionId: session ? session.id : null };
+    }
+});
+
+// Export the failed chunks of an upload (JSON or CSV)
+ipcMain.handle('export-failure-report', async (event, report, filePath) => {
+    try {
+        requireUser();
+        await exportFailureReport(report, filePath);
+        return { success: true, filePath };
+    } catch (error) {
+        console.error('Error exporting failure report:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Cancel upload - aborts in-flight requests, the upload returns a partial summary
+ipcMain.handle('cancel-upload', async () => {
+    try {
+        requireUser();
+        if (currentUploadManager) {
+            currentUploadManager.cancel();
+            return { success: true, message: 'Upload cancelled' };
+        }
+        return { success: false, message: 'No active upload to cancel' };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Upload rate limit - applies immediately, also to an upload that is running
+ipcMain.handle('set-upload-bandwidth', async (event, settings) => {
+    try {
+        requireUser();
+        uploadBandwidthLimiter.configure(settings);
+        return { success: true, ...uploadBandwidthLimiter.getStatus() };
+    } catch (error) {
+        console.error('Error setting upload bandwidth:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-upload-bandwidth', async () => {
+    try {
+        requireUser();
+        return { success: true, ...uploadBandwidthLimiter.getStatus() };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// List interrupted upload sessions
+ipcMain.handle('list-upload-sessions', async () => {
+    try {
+        requireUser();
+        const sessions = await getUploadSessionStore().list();
+        return { success: true, sessions };
+    } catch (error) {
+        console.error('Error listing upload sessions:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Discard an upload session journal
+ipcMain.handle('discard-upload-session', async (event, sessionId) => {
+    try {
+        requireUser({ admin: true });
+        await getUploadSessionStore().remove(sessionId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error discarding upload session:', error);
         return { success: false, error: error.message };
     }
 });
@@ -895,6 +1328,7 @@ ipcMain.handle('upload-to-r2', async (event, options) => {
 // Pause upload
 ipcMain.handle('pause-upload', async () => {
     try {
+        requireUser();
         if (currentUploadManager) {
             currentUploadManager.pause();
             return { success: true, message: 'Upload paused' };
@@ -908,6 +1342,7 @@ ipcMain.handle('pause-upload', async () => {
 // Resume upload
 ipcMain.handle('resume-upload', async () => {
     try {
+        requireUser();
         if (currentUploadManager) {
             currentUploadManager.resume();
             return { success: true, message: 'Upload resumed' };
@@ -921,7 +1356,9 @@ ipcMain.handle('resume-upload', async () => {
 // Verify upload
 ipcMain.handle('verify-upload', async (event, options) => {
     try {
-        const { manifestPath, config } = options;
+        const { manifestPath, profileId, deep = false, hashPercent = 0, useMetadata = true } = options;
+        requireUser();
+        const config = await resolveR2Config(profileId);
         const { R2Uploader } = require('./src/r2Uploader');
         const { parseManifest } = require('./src/manifestUtils');
         
@@ -930,7 +1367,7 @@ ipcMain.handle('verify-upload', async (event, options) => {
         const manifestData = await fs.readFile(manifestPath, 'utf-8');
         const parsed = parseManifest(manifestData, false); // false = don't require URLs for local manifests
         const manifest = parsed.manifest;
-        const buildType = manifest.buildType || 'production';
+        const buildType = config.buildType;
         
         // Send progress updates to renderer
         const sendProgress = (data) => {
@@ -939,7 +1376,7 @@ ipcMain.handle('verify-upload', async (event, options) => {
         
         // Create uploader and verify
         const uploader = new R2Uploader(config);
-        const result = await uploader.verifyManifest(manifest, buildType, sendProgress);
+        const result = await uploader.verifyManifest(manifest, buildType, sendProgress, { deep, hashPercent, useMetadata });
         
         return { success: true, ...result };
     } catch (error) {
@@ -951,11 +1388,12 @@ ipcMain.handle('verify-upload', async (event, options) => {
 // List available versions from R2
 ipcMain.handle('list-versions', async (event, options) => {
     try {
-        const { config, buildType = 'production' } = options;
+        requireUser();
+        const config = await resolveR2Config(options.profileId);
         const { R2Uploader } = require('./src/r2Uploader');
         
         const uploader = new R2Uploader(config);
-        const result = await uploader.listVersions(buildType);
+        const result = await uploader.listVersions(config.buildType);
         
         return { 
             success: true, 
@@ -968,10 +1406,36 @@ ipcMain.handle('list-versions', async (event, options) => {
     }
 });
 
+// Copy per-version chunks into the shared chunk store
+ipcMain.handle('migrate-chunk-store', async (event, options) => {
+    try {
+        const { profileId, dryRun = false } = options;
+        requireUser({ admin: true });
+        const config = await resolveR2Config(profileId);
+        
+        const sendProgress = (data) => {
+            mainWindow.webContents.send('progress-update', data);
+        };
+        
+        const uploader = new R2Uploader(config);
+        const result = await uploader.migrateChunkStore(config.buildType, { dryRun }, sendProgress);
+        if (!dryRun) {
+            audit(`migrated ${result.copied} ${config.buildType} chunks into the shared store of ${config.bucket}`);
+        }
+        
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('Error migrating chunk store:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 // Promote a version as the current/latest version
 ipcMain.handle('promote-version', async (event, options) => {
     try {
-        const { config, version, buildType = 'production', localManifestPath = null } = options;
+        const { profileId, version, localManifestPath = null } = options;
+        const user = requireUser();
+        const config = await resolveR2Config(profileId);
         const { R2Uploader } = require('./src/r2Uploader');
         
         const sendProgress = (data) => {
@@ -991,7 +1455,8 @@ ipcMain.handle('promote-version', async (event, options) => {
         }
         
         const uploader = new R2Uploader(config);
-        const result = await uploader.promoteVersion(version, buildType, sendProgress, localManifest);
+        const result = await uploader.promoteVersion(version, config.buildType, sendProgress, localManifest, { promotedBy: user.username });
+        audit(`promoted ${config.buildType} ${version} to latest in ${config.bucket} (profile "${config.profileName}")`);
         
         return { success: true, ...result };
     } catch (error) {
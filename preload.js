@@ -17,18 +17,28 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     // Package preparation (will be implemented)
     generateManifest: (options) => ipcRenderer.invoke('generate-manifest', options),
+    previewIgnoreRules: (options) => ipcRenderer.invoke('preview-ignore-rules', options),
+    scanPackage: (options) => ipcRenderer.invoke('scan-package', options),
+    exportScanReport: (report, filePath) => ipcRenderer.invoke('export-scan-report', report, filePath),
     
     // Upload management (will be implemented)
     detectDelta: (oldManifestPath, newManifestPath) => ipcRenderer.invoke('detect-delta', oldManifestPath, newManifestPath),
     uploadToR2: (options) => ipcRenderer.invoke('upload-to-r2', options),
-    testR2Connection: (config) => ipcRenderer.invoke('test-r2-connection', config),
+    listUploadSessions: () => ipcRenderer.invoke('list-upload-sessions'),
+    discardUploadSession: (sessionId) => ipcRenderer.invoke('discard-upload-session', sessionId),
+    testR2Connection: (profileId, overrides) => ipcRenderer.invoke('test-r2-connection', profileId, overrides),
     pauseUpload: () => ipcRenderer.invoke('pause-upload'),
     resumeUpload: () => ipcRenderer.invoke('resume-upload'),
+    cancelUpload: () => ipcRenderer.invoke('cancel-upload'),
+    exportFailureReport: (report, filePath) => ipcRenderer.invoke('export-failure-report', report, filePath),
+    setUploadBandwidth: (settings) => ipcRenderer.invoke('set-upload-bandwidth', settings),
+    getUploadBandwidth: () => ipcRenderer.invoke('get-upload-bandwidth'),
     verifyUpload: (options) => ipcRenderer.invoke('verify-upload', options),
     
     // Version management
     listVersions: (options) => ipcRenderer.invoke('list-versions', options),
     promoteVersion: (options) => ipcRenderer.invoke('promote-version', options),
+    migrateChunkStore: (options) => ipcRenderer.invoke('migrate-chunk-store', options),
     
     // Progress events
     onProgress: (callback) => {
@@ -41,11 +51,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Configuration management
     getConfig: () => ipcRenderer.invoke('get-config'),
     setBuild: (build) => ipcRenderer.invoke('set-build', build),
-    getR2Config: (build) => ipcRenderer.invoke('get-r2-config', build),
-    setR2Config: (build, config) => ipcRenderer.invoke('set-r2-config', build, config),
+    
+    // R2 profiles
+    listProfiles: () => ipcRenderer.invoke('list-profiles'),
+    saveProfile: (profile) => ipcRenderer.invoke('save-profile', profile),
+    deleteProfile: (profileId) => ipcRenderer.invoke('delete-profile', profileId),
+    setActiveProfile: (profileId) => ipcRenderer.invoke('set-active-profile', profileId),
+    exportProfiles: (filePath) => ipcRenderer.invoke('export-profiles', filePath),
+    importProfiles: (filePath) => ipcRenderer.invoke('import-profiles', filePath),
     
     // Authentication
+    getLoginState: () => ipcRenderer.invoke('get-login-state'),
+    setupAdmin: (credentials) => ipcRenderer.invoke('setup-admin', credentials),
     login: (credentials) => ipcRenderer.invoke('login', credentials),
+    getCurrentUser: () => ipcRenderer.invoke('get-current-user'),
+    changePassword: (currentPassword, newPassword) => ipcRenderer.invoke('change-password', currentPassword, newPassword),
+    
+    // User management (administrators)
+    listUsers: () => ipcRenderer.invoke('list-users'),
+    addUser: (user) => ipcRenderer.invoke('add-user', user),
+    removeUser: (username) => ipcRenderer.invoke('remove-user', username),
+    setUserPassword: (username, password) => ipcRenderer.invoke('set-user-password', username, password),
     
     // Auto-updater
     checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
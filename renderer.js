@@ -23,6 +23,17 @@ const generateManifestBtn = document.getElementById('generate-manifest');
 const sourceDirInput = document.getElementById('source-dir');
 const outputDirInput = document.getElementById('output-dir');
 const versionInput = document.getElementById('version');
+const browsePreviousManifestPrepBtn = document.getElementById('browse-previous-manifest-prep');
+const previousManifestPrepInput = document.getElementById('previous-manifest-prep');
+const browseRulesProfileBtn = document.getElementById('browse-rules-profile');
+const rulesProfileInput = document.getElementById('rules-profile');
+const previewRulesBtn = document.getElementById('preview-rules');
+const rulesPreview = document.getElementById('rules-preview');
+const scanPackageBtn = document.getElementById('scan-package');
+const exportScanJsonBtn = document.getElementById('export-scan-json');
+const exportScanCsvBtn = document.getElementById('export-scan-csv');
+const scanReport = document.getElementById('scan-report');
+let lastScanReport = null;
 const progressContainer = document.getElementById('progress-container');
 const progressFill = document.getElementById('progress-fill');
 const statusText = document.getElementById('status-text');
@@ -41,6 +52,95 @@ browseOutputBtn.addEventListener('click', async () => {
     }
 });
 
+browsePreviousManifestPrepBtn.addEventListener('click', async () => {
+    const path = await window.electronAPI.selectFile({
+        filters: [{ name: 'JSON Files', extensions: ['json'] }]
+    });
+    if (path) {
+        previousManifestPrepInput.value = path;
+    }
+});
+
+browseRulesProfileBtn.addEventListener('click', async () => {
+    const path = await window.electronAPI.selectFile({
+        filters: [{ name: 'All Files', extensions: ['*'] }]
+    });
+    if (path) {
+        rulesProfileInput.value = path;
+    }
+});
+
+function formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function getChunkSizes() {
+    return {
+        min: parseInt(document.getElementById('chunk-min').value) * 1024 * 1024,
+        avg: parseInt(document.getElementById('chunk-avg').value) * 1024 * 1024,
+        max: parseInt(document.getElementById('chunk-max').value) * 1024 * 1024
+    };
+}
+
+function getFileFilters() {
+    return {
+        excludePdb: document.getElementById('filter-pdb').checked,
+        excludeSaved: document.getElementById('filter-saved').checked
+    };
+}
+
+previewRulesBtn.addEventListener('click', async () => {
+    const sourceDir = sourceDirInput.value;
+    if (!sourceDir) {
+        alert('Please select a source directory');
+        return;
+    }
+    
+    previewRulesBtn.disabled = true;
+    rulesPreview.style.display = 'block';
+    rulesPreview.textContent = 'Scanning files...';
+    
+    try {
+        const result = await window.electronAPI.previewIgnoreRules({
+            sourceDir,
+            filters: getFileFilters(),
+            rulesProfilePath: rulesProfileInput.value || null
+        });
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to preview rules');
+        }
+        
+        rulesPreview.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'log-entry info';
+        summary.textContent = `Included: ${result.included.fileCount} files (${formatSize(result.included.totalSize)}), excluded: ${result.excluded.fileCount} files (${formatSize(result.excluded.totalSize)})`;
+        rulesPreview.appendChild(summary);
+        
+        for (const rule of result.rules) {
+            const details = document.createElement('details');
+            const title = document.createElement('summary');
+            const action = rule.negated ? 're-included' : 'excluded';
+            title.textContent = `${rule.pattern} (${rule.source}:${rule.line}) - ${action} ${rule.fileCount} files, ${formatSize(rule.totalSize)}`;
+            details.appendChild(title);
+            
+            for (const file of rule.files) {
+                const entry = document.createElement('div');
+                entry.className = 'rule-file';
+                entry.textContent = `${file.path} (${formatSize(file.size)})`;
+                details.appendChild(entry);
+            }
+            
+            rulesPreview.appendChild(details);
+        }
+    } catch (error) {
+        rulesPreview.textContent = 'Error: ' + error.message;
+    } finally {
+        previewRulesBtn.disabled = false;
+    }
+});
+
 generateManifestBtn.addEventListener('click', async () => {
     const sourceDir = sourceDirInput.value;
     const outputDir = outputDirInput.value;
@@ -52,24 +152,19 @@ generateManifestBtn.addEventListener('click', async () => {
         return;
     }
     
-    const chunkMin = parseInt(document.getElementById('chunk-min').value) * 1024 * 1024;
-    const chunkAvg = parseInt(document.getElementById('chunk-avg').value) * 1024 * 1024;
-    const chunkMax = parseInt(document.getElementById('chunk-max').value) * 1024 * 1024;
+    const workerCount = parseInt(document.getElementById('worker-count').value);
     
     const options = {
         sourceDir,
         outputDir,
         version,
         buildType,
-        chunkSizes: {
-            min: chunkMin,
-            avg: chunkAvg,
-            max: chunkMax
-        },
-        filters: {
-            excludePdb: document.getElementById('filter-pdb').checked,
-            excludeSaved: document.getElementById('filter-saved').checked
-        }
+        chunkSizes: getChunkSizes(),
+        filters: getFileFilters(),
+        rulesProfilePath: rulesProfileInput.value || null,
+        workerCount,
+        compression: document.getElementById('chunk-compression').value || null,
+        previousManifestPath: previousManifestPrepInput.value || null
     };
     
     generateManifestBtn.disabled = true;
@@ -81,8 +176,8 @@ generateManifestBtn.addEventListener('click', async () => {
         const result = await window.electronAPI.generateManifest(options);
         
         if (result.success) {
-            statusText.textContent = `Manifest generated successfully! Files: ${result.stats.filesProcessed}, Chunks: ${result.stats.totalChunks}, Unique: ${result.stats.uniqueChunks}`;
-            alert(`Manifest generated successfully!\n\nFiles processed: ${result.stats.filesProcessed}\nTotal chunks: ${result.stats.totalChunks}\nUnique chunks: ${result.stats.uniqueChunks}\nDeduplication ratio: ${result.stats.deduplicationRatio}\n\nManifest saved to: ${result.manifestPath}`);
+            statusText.textContent = `Manifest generated successfully! Files: ${result.stats.filesProcessed} (${result.stats.reusedFiles} unchanged), Chunks: ${result.stats.totalChunks}, Unique: ${result.stats.uniqueChunks}`;
+            alert(`Manifest generated successfully!\n\nFiles processed: ${result.stats.filesProcessed}\nUnchanged (reused): ${result.stats.reusedFiles}\nRe-chunked: ${result.stats.chunkedFiles}\nTotal chunks: ${result.stats.totalChunks}\nUnique chunks: ${result.stats.uniqueChunks}\nDeduplication ratio: ${result.stats.deduplicationRatio}\nCompressed chunks: ${result.stats.compressedChunks} (stored size ${formatSize(result.stats.storedSize)} of ${formatSize(result.stats.uniqueSize)})\n\nManifest saved to: ${result.manifestPath}`);
         } else {
             throw new Error(result.error || 'Failed to generate manifest');
         }
@@ -94,19 +189,358 @@ generateManifestBtn.addEventListener('click', async () => {
     }
 });
 
+function addScanLine(text, type = 'info') {
+    const entry = document.createElement('div');
+    entry.className = `log-entry ${type}`;
+    entry.textContent = text;
+    scanReport.appendChild(entry);
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes}m ${seconds % 60}s`;
+    }
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function showScanReport(report) {
+    scanReport.innerHTML = '';
+    scanReport.style.display = 'block';
+    
+    addScanLine(`Included: ${report.included.fileCount} files, ${formatSize(report.included.totalSize)}`, 'success');
+    addScanLine(`Excluded: ${report.excluded.fileCount} files, ${formatSize(report.excluded.totalSize)}`);
+    addScanLine(`Estimated chunks: ~${report.estimate.chunks}`);
+    addScanLine(`Estimated time: ~${formatDuration(report.estimate.seconds)} (${report.estimate.workers} workers, ~${report.estimate.throughputMBps} MB/s, disk speed not included)`);
+    
+    addScanLine('By extension:', 'success');
+    for (const entry of report.extensions) {
+        addScanLine(`  ${entry.extension}: ${entry.fileCount} files, ${formatSize(entry.totalSize)}, ~${entry.estimatedChunks} chunks`);
+    }
+    
+    addScanLine('Largest files:', 'success');
+    for (const file of report.largestFiles) {
+        addScanLine(`  ${file.path}: ${formatSize(file.size)}`);
+    }
+}
+
+scanPackageBtn.addEventListener('click', async () => {
+    const sourceDir = sourceDirInput.value;
+    if (!sourceDir) {
+        alert('Please select a source directory');
+        return;
+    }
+    
+    scanPackageBtn.disabled = true;
+    progressContainer.classList.add('active');
+    progressFill.style.width = '0%';
+    statusText.textContent = 'Starting scan...';
+    
+    try {
+        const result = await window.electronAPI.scanPackage({
+            sourceDir,
+            chunkSizes: getChunkSizes(),
+            filters: getFileFilters(),
+            rulesProfilePath: rulesProfileInput.value || null,
+            workerCount: parseInt(document.getElementById('worker-count').value)
+        });
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to scan package');
+        }
+        
+        lastScanReport = result.report;
+        showScanReport(result.report);
+        exportScanJsonBtn.style.display = 'inline-block';
+        exportScanCsvBtn.style.display = 'inline-block';
+        statusText.textContent = `Scan complete: ${result.report.included.fileCount} files, ${formatSize(result.report.included.totalSize)}`;
+    } catch (error) {
+        statusText.textContent = 'Error: ' + error.message;
+        alert('Error: ' + error.message);
+    } finally {
+        scanPackageBtn.disabled = false;
+    }
+});
+
+async function exportScan(extension, name) {
+    if (!lastScanReport) {
+        return;
+    }
+    
+    const filePath = await window.electronAPI.saveFile({
+        filters: [{ name, extensions: [extension] }],
+        defaultPath: `scan_report_${versionInput.value || 'package'}.${extension}`
+    });
+    if (!filePath) {
+        return;
+    }
+    
+    const result = await window.electronAPI.exportScanReport(lastScanReport, filePath);
+    if (result.success) {
+        statusText.textContent = `Scan report saved to: ${result.filePath}`;
+    } else {
+        alert('Error: ' + result.error);
+    }
+}
+
+exportScanJsonBtn.addEventListener('click', () => exportScan('json', 'JSON Files'));
+exportScanCsvBtn.addEventListener('click', () => exportScan('csv', 'CSV Files'));
+
+// R2 Profiles - the profile selected in the header is used by every R2 operation
+const activeProfileSelect = document.getElementById('active-profile');
+const profileEditSelect = document.getElementById('profile-edit-select');
+const newProfileBtn = document.getElementById('new-profile');
+const saveProfileBtn = document.getElementById('save-profile');
+const testProfileBtn = document.getElementById('test-profile');
+const deleteProfileBtn = document.getElementById('delete-profile');
+const importProfilesBtn = document.getElementById('import-profiles');
+const exportProfilesBtn = document.getElementById('export-profiles');
+const profileLog = document.getElementById('profile-log');
+
+// Only administrators can change profiles or discard upload sessions (set once the signed-in user is known)
+let isAdministrator = true;
+
+// Profile field -> input of the R2 Profiles form
+const PROFILE_FORM_FIELDS = {
+    name: 'profile-name',
+    buildType: 'profile-build-type',
+    bucket: 'profile-bucket',
+    endpoint: 'profile-endpoint',
+    accessKeyId: 'profile-access-key',
+    secretAccessKey: 'profile-secret-key',
+    keyPrefix: 'profile-key-prefix',
+    publicBaseUrl: 'profile-public-url'
+};
+
+// Profiles without keys ({ id, name, buildType, endpoint, bucket, keyPrefix, publicBaseUrl, hasKeys })
+let r2Profiles = [];
+
+function getActiveProfile() {
+    return r2Profiles.find(profile => profile.id === activeProfileSelect.value) || null;
+}
+
+/**
+ * Selected profile, or null (after telling the user) if there is none or it has no keys
+ */
+function requireActiveProfile() {
+    const profile = getActiveProfile();
+    if (!profile) {
+        alert('Please create an R2 profile in the R2 Profiles tab');
+        return null;
+    }
+    if (!profile.hasKeys) {
+        alert(`R2 profile "${profile.name}" has no access keys. Enter them in the R2 Profiles tab.`);
+        return null;
+    }
+    return profile;
+}
+
+function describeProfile(profile) {
+    const location = profile.keyPrefix ? `${profile.bucket}/${profile.keyPrefix}` : profile.bucket;
+    return `${profile.name} (${profile.buildType}, ${location})${profile.hasKeys ? '' : ' - no keys'}`;
+}
+
+function fillProfileSelect(select, selectedId) {
+    select.innerHTML = '';
+    r2Profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = describeProfile(profile);
+        select.appendChild(option);
+    });
+    if (r2Profiles.some(profile => profile.id === selectedId)) {
+        select.value = selectedId;
+    }
+}
+
+/**
+ * Show a profile in the R2 Profiles form (null for a new one) - saved keys are never shown
+ */
+function showProfileForm(profile) {
+    Object.entries(PROFILE_FORM_FIELDS).forEach(([field, id]) => {
+        document.getElementById(id).value = profile && profile[field] ? profile[field] : '';
+    });
+    document.getElementById('profile-build-type').value = profile ? profile.buildType : 'production';
+    document.getElementById('profile-keys-status').textContent = profile && profile.hasKeys
+        ? 'Keys are saved (encrypted with the operating system keychain). Leave both fields empty to keep them.'
+        : 'No keys saved yet. They are encrypted with the operating system keychain.';
+    deleteProfileBtn.disabled = !profile || !isAdministrator;
+}
+
+function readProfileForm() {
+    const profile = { id: profileEditSelect.value || undefined };
+    Object.entries(PROFILE_FORM_FIELDS).forEach(([field, id]) => {
+        profile[field] = document.getElementById(id).value.trim();
+    });
+    return profile;
+}
+
+/**
+ * Apply a profile list ({ profiles, activeProfileId }) to the header dropdown and the R2 Profiles tab
+ */
+function showProfiles({ profiles, activeProfileId }, editProfileId = null) {
+    const previousActiveId = activeProfileSelect.value;
+    r2Profiles = profiles;
+    fillProfileSelect(activeProfileSelect, activeProfileId);
+    fillProfileSelect(profileEditSelect, editProfileId || profileEditSelect.value || activeProfileId);
+    showProfileForm(r2Profiles.find(profile => profile.id === profileEditSelect.value) || null);
+    
+    if (previousActiveId && previousActiveId !== activeProfileSelect.value) {
+        resetVersionList();
+    }
+}
+
+async function loadProfiles(editProfileId = null) {
+    const result = await window.electronAPI.listProfiles();
+    if (!result.success) {
+        alert('Failed to load R2 profiles: ' + result.error);
+        return;
+    }
+    showProfiles(result, editProfileId);
+}
+
+activeProfileSelect.addEventListener('change', async () => {
+    const result = await window.electronAPI.setActiveProfile(activeProfileSelect.value);
+    if (!result.success) {
+        alert('Failed to select the R2 profile: ' + result.error);
+    }
+    resetVersionList();
+});
+
+profileEditSelect.addEventListener('change', () => {
+    showProfileForm(r2Profiles.find(profile => profile.id === profileEditSelect.value) || null);
+});
+
+newProfileBtn.addEventListener('click', () => {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'New profile';
+    profileEditSelect.appendChild(option);
+    profileEditSelect.value = '';
+    showProfileForm(null);
+    document.getElementById('profile-name').focus();
+});
+
+saveProfileBtn.addEventListener('click', async () => {
+    const result = await window.electronAPI.saveProfile(readProfileForm());
+    if (!result.success) {
+        alert('Failed to save the R2 profile: ' + result.error);
+        return;
+    }
+    addLogEntry(`Saved profile ${describeProfile(result.profile)}`, 'success', profileLog);
+    await loadProfiles(result.profile.id);
+});
+
+deleteProfileBtn.addEventListener('click', async () => {
+    const profile = r2Profiles.find(entry => entry.id === profileEditSelect.value);
+    if (!profile || !confirm(`Delete the R2 profile "${profile.name}"? Nothing in R2 is deleted.`)) {
+        return;
+    }
+    
+    const result = await window.electronAPI.deleteProfile(profile.id);
+    if (!result.success) {
+        alert('Failed to delete the R2 profile: ' + result.error);
+        return;
+    }
+    addLogEntry(`Deleted profile ${profile.name}`, 'info', profileLog);
+    profileEditSelect.value = '';
+    showProfiles(result);
+});
+
+// Test the values in the form (empty keys use the saved ones)
+testProfileBtn.addEventListener('click', async () => {
+    const form = readProfileForm();
+    const profile = r2Profiles.find(entry => entry.id === form.id);
+    
+    if (!form.bucket || !form.endpoint) {
+        alert('Please fill in the bucket name and endpoint URL');
+        return;
+    }
+    if ((!form.accessKeyId || !form.secretAccessKey) && !(profile && profile.hasKeys)) {
+        alert('Please enter the access key ID and secret access key');
+        return;
+    }
+    
+    testProfileBtn.disabled = true;
+    testProfileBtn.textContent = 'Testing...';
+    
+    try {
+        const result = await window.electronAPI.testR2Connection(form.id || null, form);
+        
+        if (result.success) {
+            addLogEntry(`Connection to ${form.bucket} successful`, 'success', profileLog);
+            alert('R2 connection successful!');
+        } else {
+            addLogEntry(`Connection to ${form.bucket} failed: ${result.message || result.error || 'Unknown error'}`, 'error', profileLog);
+            alert('R2 connection failed: ' + (result.message || result.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Error: ' + error.message);
+    } finally {
+        testProfileBtn.disabled = false;
+        testProfileBtn.textContent = 'Test Connection';
+    }
+});
+
+importProfilesBtn.addEventListener('click', async () => {
+    const filePath = await window.electronAPI.selectFile({
+        filters: [{ name: 'JSON Files', extensions: ['json'] }]
+    });
+    if (!filePath) {
+        return;
+    }
+    
+    const result = await window.electronAPI.importProfiles(filePath);
+    if (!result.success) {
+        alert('Failed to import R2 profiles: ' + result.error);
+        return;
+    }
+    addLogEntry(`Imported profiles from ${filePath}: ${result.added} added, ${result.updated} updated`, 'success', profileLog);
+    if (result.added > 0) {
+        addLogEntry('Enter the access keys of the added profiles before using them', 'info', profileLog);
+    }
+    showProfiles(result);
+});
+
+exportProfilesBtn.addEventListener('click', async () => {
+    const filePath = await window.electronAPI.saveFile({
+        filters: [{ name: 'JSON Files', extensions: ['json'] }],
+        defaultPath: 'r2_profiles.json'
+    });
+    if (!filePath) {
+        return;
+    }
+    
+    const result = await window.electronAPI.exportProfiles(filePath);
+    if (result.success) {
+        addLogEntry(`Exported ${result.count} profiles (without keys) to ${result.filePath}`, 'success', profileLog);
+    } else {
+        alert('Failed to export R2 profiles: ' + result.error);
+    }
+});
+
+loadProfiles();
+
 // Tab 2: Upload Management
 const browseOldManifestBtn = document.getElementById('browse-old-manifest');
 const browseNewManifestBtn = document.getElementById('browse-new-manifest');
-const testR2Btn = document.getElementById('test-r2');
 const startUploadBtn = document.getElementById('start-upload');
 const pauseUploadBtn = document.getElementById('pause-upload');
 const resumeUploadBtn = document.getElementById('resume-upload');
+const cancelUploadBtn = document.getElementById('cancel-upload');
+const retryFailedUploadBtn = document.getElementById('retry-failed-upload');
+const exportFailureReportBtn = document.getElementById('export-failure-report');
 const verifyUploadBtn = document.getElementById('verify-upload');
 const oldManifestInput = document.getElementById('old-manifest');
 const newManifestInput = document.getElementById('new-manifest');
 const uploadProgressContainer = document.getElementById('upload-progress-container');
 const uploadProgressFill = document.getElementById('upload-progress-fill');
 const uploadStatusText = document.getElementById('upload-status-text');
+const uploadTransferText = document.getElementById('upload-transfer-text');
+const uploadChunkStates = document.getElementById('upload-chunk-states');
 const uploadLog = document.getElementById('upload-log');
 
 browseOldManifestBtn.addEventListener('click', async () => {
@@ -127,39 +561,199 @@ browseNewManifestBtn.addEventListener('click', async () => {
     }
 });
 
-// Note: Bucket name is used as-is. Build type separation is handled via path structure in R2.
-// Production files go to: production/[version]/...
-// Staging files go to: staging/[version]/...
+/**
+ * Reset the upload progress UI before an upload starts
+ */
+function startUploadUi() {
+    startUploadBtn.disabled = true;
+    pauseUploadBtn.style.display = 'inline-block';
+    resumeUploadBtn.style.display = 'none';
+    cancelUploadBtn.style.display = 'inline-block';
+    cancelUploadBtn.disabled = false;
+    retryFailedUploadBtn.style.display = 'none';
+    exportFailureReportBtn.style.display = 'none';
+    uploadProgressContainer.classList.add('active');
+    uploadProgressFill.style.width = '0%';
+    uploadStatusText.textContent = 'Preparing upload...';
+    uploadTransferText.textContent = '';
+    uploadChunkStates.innerHTML = '';
+    uploadLog.innerHTML = '';
+}
 
-testR2Btn.addEventListener('click', async () => {
-    const config = {
-        bucket: document.getElementById('r2-bucket').value,
-        endpoint: document.getElementById('r2-endpoint').value,
-        accessKeyId: document.getElementById('r2-access-key').value,
-        secretAccessKey: document.getElementById('r2-secret-key').value
-    };
-    
-    if (!config.bucket || !config.endpoint || !config.accessKeyId || !config.secretAccessKey) {
-        alert('Please fill in all R2 configuration fields');
-        return;
-    }
+/**
+ * Show bytes, speed, ETA and the chunks in flight of an upload progress event
+ */
+function showUploadTransfer(data) {
+    const speed = data.throughput > 0
+        ? `${formatSize(data.throughput)}/s - ETA ${formatDuration(Math.round(data.etaSeconds))}`
+        : 'waiting for data';
+    uploadTransferText.textContent = `${formatSize(data.bytesDone)} of ${formatSize(data.totalBytes)} (${speed})`;
     
-    testR2Btn.disabled = true;
-    testR2Btn.textContent = 'Testing...';
+    const states = data.chunkStates;
+    uploadChunkStates.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.textContent = `Chunks: ${states.done} done, ${states.active} uploading, ${states.queued} queued, ${states.failed} failed`;
+    uploadChunkStates.appendChild(summary);
     
+    data.activeChunks.forEach(chunk => {
+        const row = document.createElement('div');
+        row.className = 'active-chunk';
+        const percent = chunk.size > 0 ? Math.round(chunk.bytesUploaded / chunk.size * 100) : 0;
+        row.textContent = `${chunk.hash.substring(0, 16)}...  ${percent}% of ${formatSize(chunk.size)}`;
+        uploadChunkStates.appendChild(row);
+    });
+}
+
+// Last finished upload ({ options, result }) - Retry Failed and Export Failure Report work on it
+let lastUpload = null;
+
+/**
+ * Log the errors of failed chunks (first 10)
+ */
+function logFailedChunks(stats) {
+    const failures = stats.failedChunksDetails || [];
+    failures.slice(0, 10).forEach(failure => {
+        addLogEntry(`  - ${failure.hash.substring(0, 16)}...: ${failure.error}`, 'error');
+    });
+    if (failures.length > 10) {
+        addLogEntry(`  ... and ${failures.length - 10} more (export the failure report for the full list)`, 'error');
+    }
+}
+
+/**
+ * Run an upload (new or resumed session) and report the result
+ */
+async function runUpload(uploadOptions) {
+    lastUpload = null;
     try {
-        const result = await window.electronAPI.testR2Connection(config);
+        const result = await window.electronAPI.uploadToR2(uploadOptions);
+        if (result.stats) {
+            lastUpload = { options: uploadOptions, result };
+        }
         
         if (result.success) {
-            alert('R2 connection successful!');
+            addLogEntry('Upload completed successfully!', 'success');
+            addLogEntry(`Uploaded: ${result.stats.uploadedChunks} chunks`, 'success');
+            if (result.stats.copiedChunks > 0) {
+                addLogEntry(`Copied: ${result.stats.copiedChunks} unchanged chunks (server-side from the previous version)`, 'success');
+            }
+            if (result.stats.skippedChunks > 0) {
+                addLogEntry(`Skipped: ${result.stats.skippedChunks} chunks (already exist)`, 'info');
+                // Show details of skipped chunks
+                if (result.stats.skippedChunksDetails && result.stats.skippedChunksDetails.length > 0) {
+                    result.stats.skippedChunksDetails.forEach((chunk, index) => {
+                        if (index < 10) { // Show first 10 for brevity
+                            addLogEntry(`  - ${chunk.hash.substring(0, 16)}... (${chunk.reason})`, 'info');
+                        }
+                    });
+                    if (result.stats.skippedChunksDetails.length > 10) {
+                        addLogEntry(`  ... and ${result.stats.skippedChunksDetails.length - 10} more`, 'info');
+                    }
+                }
+            }
+            if (result.stats.failedChunks > 0) {
+                addLogEntry(`Failed: ${result.stats.failedChunks} chunks`, 'error');
+                logFailedChunks(result.stats);
+            }
+            if (result.stats.retries > 0) {
+                addLogEntry(`Retried: ${result.stats.retries} requests after transient errors`, 'info');
+            }
+            if (result.publishedAnyway) {
+                addLogEntry(`Published anyway: ${result.problems.join(', ')}`, 'error');
+            }
+            addLogEntry(`Latest manifest: ${result.latestUrl}`, 'info');
+            addLogEntry(`Uploaded by: ${result.uploadedBy}`, 'info');
+            uploadStatusText.textContent = 'Upload complete!';
+            pauseUploadBtn.style.display = 'none';
+            resumeUploadBtn.style.display = 'none';
+            alert(`Upload completed!\n\nUploaded: ${result.stats.uploadedChunks} chunks\nCopied: ${result.stats.copiedChunks} chunks\nSkipped: ${result.stats.skippedChunks} chunks\nFailed: ${result.stats.failedChunks} chunks\nRetries: ${result.stats.retries}`);
+        } else if (result.cancelled) {
+            const { stats } = result;
+            addLogEntry(result.error, 'error');
+            addLogEntry(`Uploaded: ${stats.uploadedChunks}, copied: ${stats.copiedChunks}, skipped: ${stats.skippedChunks}, failed: ${stats.failedChunks}, aborted: ${stats.cancelledChunks}, not started: ${stats.notStartedChunks} chunks`, 'info');
+            uploadStatusText.textContent = 'Upload cancelled';
+            pauseUploadBtn.style.display = 'none';
+            resumeUploadBtn.style.display = 'none';
+            alert(`Upload cancelled - the manifest was not published.\n\nUploaded: ${stats.uploadedChunks} chunks\nCopied: ${stats.copiedChunks} chunks\nSkipped: ${stats.skippedChunks} chunks\nFailed: ${stats.failedChunks} chunks\nAborted: ${stats.cancelledChunks} chunks\nNot started: ${stats.notStartedChunks} chunks\n\nThe upload can be resumed from Interrupted Uploads.`);
         } else {
-            alert('R2 connection failed: ' + (result.message || result.error || 'Unknown error'));
+            // Failed publish - chunks were processed but the latest manifest was left unchanged
+            if (result.state === 'failed' && result.stats) {
+                addLogEntry(`Uploaded: ${result.stats.uploadedChunks}, copied: ${result.stats.copiedChunks}, skipped: ${result.stats.skippedChunks}, failed: ${result.stats.failedChunks} chunks`, 'error');
+                logFailedChunks(result.stats);
+            }
+            throw new Error(result.error || 'Upload failed');
         }
     } catch (error) {
-        alert('Error: ' + error.message);
+        addLogEntry('Error: ' + error.message, 'error');
+        uploadStatusText.textContent = 'Upload failed: ' + error.message;
+        pauseUploadBtn.style.display = 'none';
+        resumeUploadBtn.style.display = 'none';
+        alert('Upload failed: ' + error.message);
     } finally {
-        testR2Btn.disabled = false;
-        testR2Btn.textContent = 'Test Connection';
+        startUploadBtn.disabled = false;
+        cancelUploadBtn.style.display = 'none';
+        
+        const hasFailures = lastUpload && lastUpload.result.stats.failedChunks > 0;
+        retryFailedUploadBtn.style.display = hasFailures && lastUpload.result.sessionId ? 'inline-block' : 'none';
+        exportFailureReportBtn.style.display = hasFailures ? 'inline-block' : 'none';
+        loadUploadSessions();
+    }
+}
+
+// Retry failed button - resumes the session of the last upload with only its failed chunks
+retryFailedUploadBtn.addEventListener('click', async () => {
+    if (!lastUpload) {
+        return;
+    }
+    
+    const { options, result } = lastUpload;
+    const retryChunks = result.stats.failedChunksDetails.map(failure => failure.hash);
+    
+    startUploadUi();
+    addLogEntry(`Retrying ${retryChunks.length} failed chunks...`, 'info');
+    
+    await runUpload({
+        resumeSessionId: result.sessionId,
+        retryChunks,
+        concurrency: parseInt(document.getElementById('upload-concurrency').value),
+        publishAnyway: document.getElementById('publish-anyway').checked,
+        profileId: options.profileId
+    });
+});
+
+// Export failure report button
+exportFailureReportBtn.addEventListener('click', async () => {
+    if (!lastUpload) {
+        return;
+    }
+    
+    const { options, result } = lastUpload;
+    const filePath = await window.electronAPI.saveFile({
+        filters: [
+            { name: 'JSON Files', extensions: ['json'] },
+            { name: 'CSV Files', extensions: ['csv'] }
+        ],
+        defaultPath: `upload_failures_${result.version}.json`
+    });
+    if (!filePath) {
+        return;
+    }
+    
+    const report = {
+        version: result.version,
+        buildType: result.buildType,
+        bucket: result.bucket,
+        sessionId: result.sessionId,
+        state: result.state,
+        error: result.error || null,
+        failures: result.stats.failedChunksDetails
+    };
+    
+    const exportResult = await window.electronAPI.exportFailureReport(report, filePath);
+    if (exportResult.success) {
+        uploadStatusText.textContent = `Failure report saved to: ${exportResult.filePath}`;
+    } else {
+        alert('Error: ' + exportResult.error);
     }
 });
 
@@ -167,13 +761,17 @@ startUploadBtn.addEventListener('click', async () => {
     const oldManifest = oldManifestInput.value;
     const newManifest = newManifestInput.value;
     const uploadMode = document.getElementById('upload-mode').value;
-    const buildType = document.getElementById('build-type-upload').value;
     
     if (!newManifest) {
         alert('Please select a current version manifest');
         return;
     }
     
+    const profile = requireActiveProfile();
+    if (!profile) {
+        return;
+    }
+    
     // Get version and buildType from manifest
     let version;
     let manifestBuildType;
@@ -190,97 +788,37 @@ startUploadBtn.addEventListener('click', async () => {
             throw new Error('Manifest missing version field');
         }
         
-        // Use manifest's buildType if present, otherwise use selected buildType
-        const finalBuildType = manifestBuildType || buildType;
-        
-        // Warn if mismatch
-        if (manifestBuildType && manifestBuildType !== buildType) {
-            if (!confirm(`Manifest buildType (${manifestBuildType}) doesn't match selected buildType (${buildType}). Continue with manifest's buildType?`)) {
+        // The build type folder comes from the profile - warn if the manifest was prepared for the other one
+        if (manifestBuildType && manifestBuildType !== profile.buildType) {
+            if (!confirm(`Manifest buildType (${manifestBuildType}) doesn't match the ${profile.buildType} build type of profile "${profile.name}". Upload to ${profile.buildType} anyway?`)) {
                 return;
             }
         }
         
-        // Use the bucket name as-is (don't auto-append suffixes)
-        // Build type separation is handled via path structure in R2
-        const finalBucket = document.getElementById('r2-bucket').value;
-        
-        const config = {
-            bucket: finalBucket,
-            endpoint: document.getElementById('r2-endpoint').value,
-            accessKeyId: document.getElementById('r2-access-key').value,
-            secretAccessKey: document.getElementById('r2-secret-key').value
-        };
-        
-        if (!config.bucket || !config.endpoint || !config.accessKeyId || !config.secretAccessKey) {
-            alert('Please fill in all R2 configuration fields');
-            return;
-        }
-        
         // Get chunks directory (should be in same directory as manifest)
         const manifestDir = newManifest.substring(0, newManifest.lastIndexOf('\\') || newManifest.lastIndexOf('/'));
         const chunksDir = manifestDir + (manifestDir.includes('\\') ? '\\chunks' : '/chunks');
         
-        startUploadBtn.disabled = true;
-        pauseUploadBtn.style.display = 'inline-block';
-        resumeUploadBtn.style.display = 'none';
-        uploadProgressContainer.classList.add('active');
-        uploadProgressFill.style.width = '0%';
-        uploadStatusText.textContent = 'Preparing upload...';
-        uploadLog.innerHTML = '';
+        startUploadUi();
         
         addLogEntry('Starting upload process...', 'info');
-        addLogEntry(`Build Type: ${finalBuildType}`, 'info');
-        addLogEntry(`Bucket: ${finalBucket}`, 'info');
+        addLogEntry(`Profile: ${profile.name}`, 'info');
+        addLogEntry(`Build Type: ${profile.buildType}`, 'info');
+        addLogEntry(`Bucket: ${profile.bucket}`, 'info');
         addLogEntry(`Upload mode: ${uploadMode}`, 'info');
+        addLogEntry(`Parallel uploads: ${document.getElementById('upload-concurrency').value}`, 'info');
         addLogEntry(`Version: ${version}`, 'info');
         
-        try {
-            const result = await window.electronAPI.uploadToR2({
-                oldManifestPath: oldManifest || null,
-                newManifestPath: newManifest,
-                mode: uploadMode,
-                chunksDir: chunksDir,
-                version: version,
-                buildType: finalBuildType,
-                config: config
-            });
-            
-            if (result.success) {
-                addLogEntry('Upload completed successfully!', 'success');
-                addLogEntry(`Uploaded: ${result.stats.uploadedChunks} chunks`, 'success');
-                if (result.stats.skippedChunks > 0) {
-                    addLogEntry(`Skipped: ${result.stats.skippedChunks} chunks (already exist)`, 'info');
-                    // Show details of skipped chunks
-                    if (result.stats.skippedChunksDetails && result.stats.skippedChunksDetails.length > 0) {
-                        result.stats.skippedChunksDetails.forEach((chunk, index) => {
-                            if (index < 10) { // Show first 10 for brevity
-                                addLogEntry(`  - ${chunk.hash.substring(0, 16)}... (${chunk.reason})`, 'info');
-                            }
-                        });
-                        if (result.stats.skippedChunksDetails.length > 10) {
-                            addLogEntry(`  ... and ${result.stats.skippedChunksDetails.length - 10} more`, 'info');
-                        }
-                    }
-                }
-                if (result.stats.failedChunks > 0) {
-                    addLogEntry(`Failed: ${result.stats.failedChunks} chunks`, 'error');
-                }
-                uploadStatusText.textContent = 'Upload complete!';
-                pauseUploadBtn.style.display = 'none';
-                resumeUploadBtn.style.display = 'none';
-                alert(`Upload completed!\n\nUploaded: ${result.stats.uploadedChunks} chunks\nSkipped: ${result.stats.skippedChunks} chunks\nFailed: ${result.stats.failedChunks} chunks`);
-            } else {
-                throw new Error(result.error || 'Upload failed');
-            }
-        } catch (error) {
-            addLogEntry('Error: ' + error.message, 'error');
-            uploadStatusText.textContent = 'Upload failed: ' + error.message;
-            pauseUploadBtn.style.display = 'none';
-            resumeUploadBtn.style.display = 'none';
-            alert('Upload failed: ' + error.message);
-        } finally {
-            startUploadBtn.disabled = false;
-        }
+        await runUpload({
+            oldManifestPath: oldManifest || null,
+            newManifestPath: newManifest,
+            mode: uploadMode,
+            chunksDir: chunksDir,
+            version: version,
+            concurrency: parseInt(document.getElementById('upload-concurrency').value),
+            publishAnyway: document.getElementById('publish-anyway').checked,
+            profileId: profile.id
+        });
     } catch (error) {
         alert('Error reading manifest: ' + error.message);
         return;
@@ -321,6 +859,156 @@ resumeUploadBtn.addEventListener('click', async () => {
     }
 });
 
+// Cancel upload button
+cancelUploadBtn.addEventListener('click', async () => {
+    if (!confirm('Cancel the upload? Chunks in progress are aborted and the manifest is not published.')) {
+        return;
+    }
+    
+    try {
+        const result = await window.electronAPI.cancelUpload();
+        if (result.success) {
+            cancelUploadBtn.disabled = true;
+            pauseUploadBtn.style.display = 'none';
+            resumeUploadBtn.style.display = 'none';
+            addLogEntry('Cancelling upload...', 'info');
+            uploadStatusText.textContent = 'Cancelling upload...';
+        } else {
+            alert('Failed to cancel upload: ' + (result.message || result.error));
+        }
+    } catch (error) {
+        alert('Error cancelling upload: ' + error.message);
+    }
+});
+
+// Interrupted upload sessions
+const uploadSessionsSelect = document.getElementById('upload-sessions');
+const uploadSessionInfo = document.getElementById('upload-session-info');
+const resumeUploadSessionBtn = document.getElementById('resume-upload-session');
+const discardUploadSessionBtn = document.getElementById('discard-upload-session');
+let uploadSessions = [];
+
+async function loadUploadSessions() {
+    try {
+        const result = await window.electronAPI.listUploadSessions();
+        uploadSessions = result.success ? result.sessions : [];
+    } catch (error) {
+        uploadSessions = [];
+    }
+    
+    uploadSessionsSelect.innerHTML = '';
+    if (uploadSessions.length === 0) {
+        uploadSessionsSelect.innerHTML = '<option value="">No interrupted uploads</option>';
+    }
+    uploadSessions.forEach(session => {
+        const option = document.createElement('option');
+        option.value = session.id;
+        option.textContent = `${session.buildType} ${session.version} (${session.mode}) - ${session.completedChunks} chunks done, ${session.failedChunks} failed - ${new Date(session.updatedAt).toLocaleString()}`;
+        uploadSessionsSelect.appendChild(option);
+    });
+    
+    const hasSessions = uploadSessions.length > 0;
+    uploadSessionsSelect.disabled = !hasSessions;
+    resumeUploadSessionBtn.disabled = !hasSessions;
+    discardUploadSessionBtn.disabled = !hasSessions || !isAdministrator;
+    showUploadSessionInfo();
+}
+
+function showUploadSessionInfo() {
+    const session = uploadSessions.find(s => s.id === uploadSessionsSelect.value);
+    if (!session) {
+        uploadSessionInfo.textContent = 'Chunks already uploaded in a session are not uploaded or checked again when it is resumed. Uses the R2 configuration and upload settings above.';
+        return;
+    }
+    
+    const status = session.status === 'running' ? 'interrupted' : session.status;
+    uploadSessionInfo.textContent = `${status}: ${session.newManifestPath} to ${session.bucket || 'unknown bucket'}${session.error ? ` - ${session.error}` : ''}`;
+}
+
+uploadSessionsSelect.addEventListener('change', showUploadSessionInfo);
+document.getElementById('refresh-upload-sessions').addEventListener('click', loadUploadSessions);
+
+resumeUploadSessionBtn.addEventListener('click', async () => {
+    const session = uploadSessions.find(s => s.id === uploadSessionsSelect.value);
+    if (!session) {
+        return;
+    }
+    
+    const profile = requireActiveProfile();
+    if (!profile) {
+        return;
+    }
+    
+    resumeUploadSessionBtn.disabled = true;
+    startUploadUi();
+    
+    addLogEntry(`Resuming upload session ${session.id}...`, 'info');
+    addLogEntry(`Version: ${session.version} (${session.buildType}), ${session.completedChunks} chunks already done`, 'info');
+    
+    await runUpload({
+        resumeSessionId: session.id,
+        concurrency: parseInt(document.getElementById('upload-concurrency').value),
+        publishAnyway: document.getElementById('publish-anyway').checked,
+        profileId: profile.id
+    });
+});
+
+discardUploadSessionBtn.addEventListener('click', async () => {
+    const session = uploadSessions.find(s => s.id === uploadSessionsSelect.value);
+    if (!session || !confirm(`Discard the upload session for ${session.buildType} ${session.version}? Chunks already in R2 are kept.`)) {
+        return;
+    }
+    
+    const result = await window.electronAPI.discardUploadSession(session.id);
+    if (!result.success) {
+        alert('Failed to discard session: ' + result.error);
+    }
+    loadUploadSessions();
+});
+
+loadUploadSessions();
+
+// Upload limit - sent to the main process on every change, so it also applies to a running upload
+const uploadLimitInput = document.getElementById('upload-limit');
+const uploadLimitScheduleCheckbox = document.getElementById('upload-limit-schedule');
+const uploadLimitFromInput = document.getElementById('upload-limit-from');
+const uploadLimitUntilInput = document.getElementById('upload-limit-until');
+const uploadLimitStatus = document.getElementById('upload-limit-status');
+
+function describeUploadLimit(status) {
+    if (status.limitMBps === 0) {
+        return 'Uploads are not limited.';
+    }
+    
+    let text = `Limited to ${status.limitMBps} MB/s`;
+    if (status.schedule) {
+        text += `, unlimited ${status.schedule.unlimitedFrom}-${status.schedule.unlimitedUntil}`;
+    }
+    return `${text} (now: ${status.limited ? `${status.currentLimitMBps} MB/s` : 'unlimited'}).`;
+}
+
+async function applyUploadLimit() {
+    const settings = {
+        limitMBps: parseFloat(uploadLimitInput.value) || 0,
+        schedule: uploadLimitScheduleCheckbox.checked
+            ? { unlimitedFrom: uploadLimitFromInput.value, unlimitedUntil: uploadLimitUntilInput.value }
+            : null
+    };
+    
+    const result = await window.electronAPI.setUploadBandwidth(settings);
+    if (!result.success) {
+        uploadLimitStatus.textContent = 'Upload limit not applied: ' + result.error;
+        return;
+    }
+    uploadLimitStatus.textContent = describeUploadLimit(result);
+}
+
+[uploadLimitInput, uploadLimitScheduleCheckbox, uploadLimitFromInput, uploadLimitUntilInput].forEach(input => {
+    input.addEventListener('change', applyUploadLimit);
+});
+
+applyUploadLimit();
+
 // Verify upload button
 verifyUploadBtn.addEventListener('click', async () => {
     const newManifest = newManifestInput.value;
@@ -330,15 +1018,8 @@ verifyUploadBtn.addEventListener('click', async () => {
         return;
     }
     
-    const config = {
-        bucket: document.getElementById('r2-bucket').value,
-        endpoint: document.getElementById('r2-endpoint').value,
-        accessKeyId: document.getElementById('r2-access-key').value,
-        secretAccessKey: document.getElementById('r2-secret-key').value
-    };
-    
-    if (!config.bucket || !config.endpoint || !config.accessKeyId || !config.secretAccessKey) {
-        alert('Please fill in all R2 configuration fields');
+    const profile = requireActiveProfile();
+    if (!profile) {
         return;
     }
     
@@ -354,7 +1035,10 @@ verifyUploadBtn.addEventListener('click', async () => {
     try {
         const result = await window.electronAPI.verifyUpload({
             manifestPath: newManifest,
-            config: config
+            deep: document.getElementById('deep-verify').checked,
+            hashPercent: parseFloat(document.getElementById('deep-verify-percent').value) || 0,
+            useMetadata: document.getElementById('deep-verify-metadata').checked,
+            profileId: profile.id
         });
         
         if (result.success) {
@@ -375,6 +1059,29 @@ verifyUploadBtn.addEventListener('click', async () => {
             } else {
                 addLogEntry('✓ All chunks verified and exist in R2!', 'success');
             }
+            
+            if (result.deep) {
+                addLogEntry(`Deep verify: ${result.deep.sizeChecked} sizes compared, ${result.deep.hashChecked} chunks hash-checked (${result.deep.hashPercent}%: ${result.deep.metadataChecked} from metadata, ${result.deep.downloaded} downloaded)`, 'info');
+                if (result.mismatchedChunks.length > 0) {
+                    addLogEntry(`Mismatched: ${result.mismatchedChunks.length} chunks`, 'error');
+                    result.mismatchedChunks.slice(0, 20).forEach(chunk => {
+                        addLogEntry(`  - ${chunk.hash.substring(0, 16)}... ${chunk.reason} (expected ${chunk.expected}, got ${chunk.actual})`, 'error');
+                    });
+                } else {
+                    addLogEntry('✓ No size or hash mismatches', 'success');
+                }
+            }
+            
+            // Files to re-upload
+            if (result.affectedFiles.length > 0) {
+                addLogEntry(`Affected files: ${result.affectedFiles.length}`, 'error');
+                result.affectedFiles.slice(0, 20).forEach(file => {
+                    addLogEntry(`  - ${file.filename} (${file.missingChunks.length} missing, ${file.mismatchedChunks.length} mismatched chunks)`, 'error');
+                });
+                if (result.affectedFiles.length > 20) {
+                    addLogEntry(`  ... and ${result.affectedFiles.length - 20} more files`, 'error');
+                }
+            }
         } else {
             throw new Error(result.error || 'Verification failed');
         }
@@ -419,6 +1126,10 @@ window.electronAPI.onProgress((data) => {
             
             uploadStatusText.textContent = statusMessage;
             
+            if (data.totalBytes !== undefined) {
+                showUploadTransfer(data);
+            }
+            
             // Add log entry for upload/verify progress
             if (data.message && uploadLog) {
                 let logType = data.error ? 'error' : 'info';
@@ -482,6 +1193,15 @@ const versionProgressFill = document.getElementById('version-progress-fill');
 const versionStatusText = document.getElementById('version-status-text');
 const versionLog = document.getElementById('version-log');
 
+/**
+ * Clear fetched versions (they belong to the previously selected profile)
+ */
+function resetVersionList() {
+    versionSelect.innerHTML = '<option value="">Click "Fetch Versions" to load available versions</option>';
+    versionSelect.disabled = true;
+    promoteVersionBtn.disabled = true;
+}
+
 // Helper function to add log entries
 function addLogEntry(message, type = 'info', logContainer = null) {
     if (!logContainer) return;
@@ -495,16 +1215,8 @@ function addLogEntry(message, type = 'info', logContainer = null) {
 
 // Fetch versions from R2
 fetchVersionsBtn.addEventListener('click', async () => {
-    const buildType = document.getElementById('build-type-version').value;
-    const config = {
-        bucket: document.getElementById('r2-bucket-version').value,
-        endpoint: document.getElementById('r2-endpoint-version').value,
-        accessKeyId: document.getElementById('r2-access-key-version').value,
-        secretAccessKey: document.getElementById('r2-secret-key-version').value
-    };
-    
-    if (!config.bucket || !config.endpoint || !config.accessKeyId || !config.secretAccessKey) {
-        alert('Please fill in all R2 configuration fields');
+    const profile = requireActiveProfile();
+    if (!profile) {
         return;
     }
     
@@ -514,7 +1226,7 @@ fetchVersionsBtn.addEventListener('click', async () => {
     versionSelect.innerHTML = '<option value="">Loading...</option>';
     
     try {
-        const result = await window.electronAPI.listVersions({ config, buildType });
+        const result = await window.electronAPI.listVersions({ profileId: profile.id });
         
         if (result.success && result.versions && result.versions.length > 0) {
             versionSelect.innerHTML = '<option value="">Select a version...</option>';
@@ -565,6 +1277,48 @@ fetchVersionsBtn.addEventListener('click', async () => {
     }
 });
 
+// Copy per-version chunks into the shared chunk store
+const migrateChunkStoreBtn = document.getElementById('migrate-chunk-store');
+
+migrateChunkStoreBtn.addEventListener('click', async () => {
+    const dryRun = document.getElementById('migration-dry-run').checked;
+    const profile = requireActiveProfile();
+    if (!profile) {
+        return;
+    }
+    
+    migrateChunkStoreBtn.disabled = true;
+    versionProgressContainer.classList.add('active');
+    versionProgressFill.style.width = '0%';
+    versionStatusText.textContent = 'Starting chunk store migration...';
+    versionLog.innerHTML = '';
+    addLogEntry(`Starting chunk store migration (${profile.buildType}${dryRun ? ', dry run' : ''})...`, 'info', versionLog);
+    
+    try {
+        const result = await window.electronAPI.migrateChunkStore({ profileId: profile.id, dryRun });
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Unknown error');
+        }
+        
+        const summary = dryRun
+            ? `Dry run: ${result.toCopy} of ${result.versionChunks} version chunks would be copied (${result.alreadyInStore} already in the shared store)`
+            : `Copied ${result.copied} chunks (${result.alreadyInStore} already in the shared store, ${result.failed.length} failed)`;
+        versionStatusText.textContent = summary;
+        addLogEntry(summary, result.failed.length > 0 ? 'error' : 'success', versionLog);
+        for (const failure of result.failed) {
+            addLogEntry(`Failed: ${failure.sourceKey} - ${failure.error}`, 'error', versionLog);
+        }
+    } catch (error) {
+        console.error('Error migrating chunk store:', error);
+        versionStatusText.textContent = `Error: ${error.message || 'Failed to migrate chunk store'}`;
+        addLogEntry(`Error: ${error.message || 'Failed to migrate chunk store'}`, 'error', versionLog);
+        alert(`Error migrating chunk store: ${error.message || 'Unknown error'}`);
+    } finally {
+        migrateChunkStoreBtn.disabled = false;
+    }
+});
+
 // Browse local manifest file
 browseLocalManifestVersionBtn.addEventListener('click', async () => {
     const path = await window.electronAPI.selectFile({
@@ -577,7 +1331,6 @@ browseLocalManifestVersionBtn.addEventListener('click', async () => {
 
 // Promote version
 promoteVersionBtn.addEventListener('click', async () => {
-    const buildType = document.getElementById('build-type-version').value;
     const selectedVersion = versionSelect.value;
     const localManifestPath = localManifestVersionInput.value;
     
@@ -586,15 +1339,8 @@ promoteVersionBtn.addEventListener('click', async () => {
         return;
     }
     
-    const config = {
-        bucket: document.getElementById('r2-bucket-version').value,
-        endpoint: document.getElementById('r2-endpoint-version').value,
-        accessKeyId: document.getElementById('r2-access-key-version').value,
-        secretAccessKey: document.getElementById('r2-secret-key-version').value
-    };
-    
-    if (!config.bucket || !config.endpoint || !config.accessKeyId || !config.secretAccessKey) {
-        alert('Please fill in all R2 configuration fields');
+    const profile = requireActiveProfile();
+    if (!profile) {
         return;
     }
     
@@ -644,20 +1390,20 @@ promoteVersionBtn.addEventListener('click', async () => {
     versionProgressFill.style.width = '0%';
     versionStatusText.textContent = 'Starting version promotion...';
     versionLog.innerHTML = '';
-    addLogEntry(`Starting promotion of version ${versionToPromote} (${buildType})...`, 'info', versionLog);
+    addLogEntry(`Starting promotion of version ${versionToPromote} (${profile.name}, ${profile.buildType})...`, 'info', versionLog);
     
     try {
         const result = await window.electronAPI.promoteVersion({
-            config,
+            profileId: profile.id,
             version: versionToPromote,
-            buildType,
             localManifestPath: localManifestPathToUse
         });
         
         if (result.success) {
             versionStatusText.textContent = result.message || `Version ${versionToPromote} successfully promoted!`;
             addLogEntry(result.message || `Version ${versionToPromote} successfully promoted!`, 'success', versionLog);
-            alert(`Success! ${result.message || `Version ${versionToPromote} has been promoted as the latest ${buildType} version.`}`);
+            addLogEntry(`Promoted by: ${result.promotedBy}`, 'info', versionLog);
+            alert(`Success! ${result.message || `Version ${versionToPromote} has been promoted as the latest ${profile.buildType} version.`}`);
         } else {
             throw new Error(result.error || 'Unknown error');
         }
@@ -671,6 +1417,133 @@ promoteVersionBtn.addEventListener('click', async () => {
     }
 });
 
+// Tab 5: Users
+const currentUserInfo = document.getElementById('current-user-info');
+const changePasswordBtn = document.getElementById('change-password');
+const userManagementCard = document.getElementById('user-management');
+const userSelect = document.getElementById('user-select');
+const userPasswordInput = document.getElementById('user-password');
+const newUsernameInput = document.getElementById('new-username');
+const newUserAdminCheckbox = document.getElementById('new-user-admin');
+const addUserBtn = document.getElementById('add-user');
+const setUserPasswordBtn = document.getElementById('set-user-password');
+const removeUserBtn = document.getElementById('remove-user');
+const usersLog = document.getElementById('users-log');
+
+async function loadUsers() {
+    const result = await window.electronAPI.listUsers();
+    if (!result.success) {
+        alert('Failed to load users: ' + result.error);
+        return;
+    }
+    
+    userSelect.innerHTML = '';
+    result.users.forEach(user => {
+        const option = document.createElement('option');
+        option.value = user.username;
+        const lastLogin = user.lastLoginAt ? `last sign-in ${new Date(user.lastLoginAt).toLocaleString()}` : 'never signed in';
+        option.textContent = `${user.username}${user.admin ? ' (administrator)' : ''} - ${lastLogin}${user.locked ? ' - LOCKED' : ''}`;
+        userSelect.appendChild(option);
+    });
+}
+
+// Signed-in user - administrators also get the User Management card
+async function loadCurrentUser() {
+    const result = await window.electronAPI.getCurrentUser();
+    if (!result.success || !result.user) {
+        return;
+    }
+    
+    const { user } = result;
+    currentUserInfo.textContent = `Signed in as ${user.username}${user.admin ? ' (administrator)' : ''}`;
+    if (user.admin) {
+        userManagementCard.style.display = 'block';
+        await loadUsers();
+    } else {
+        // Profile changes, the chunk store migration and discarding sessions are refused for other users
+        isAdministrator = false;
+        for (const button of [newProfileBtn, saveProfileBtn, deleteProfileBtn, importProfilesBtn, migrateChunkStoreBtn, discardUploadSessionBtn]) {
+            button.disabled = true;
+            button.title = 'Only administrators can do this';
+        }
+    }
+}
+
+changePasswordBtn.addEventListener('click', async () => {
+    const currentPasswordInput = document.getElementById('current-password');
+    const newPasswordInput = document.getElementById('new-password');
+    const confirmNewPasswordInput = document.getElementById('confirm-new-password');
+    
+    if (newPasswordInput.value !== confirmNewPasswordInput.value) {
+        alert('The new passwords do not match');
+        return;
+    }
+    
+    const result = await window.electronAPI.changePassword(currentPasswordInput.value, newPasswordInput.value);
+    if (!result.success) {
+        alert('Failed to change the password: ' + result.error);
+        return;
+    }
+    
+    currentPasswordInput.value = '';
+    newPasswordInput.value = '';
+    confirmNewPasswordInput.value = '';
+    addLogEntry('Password changed', 'success', usersLog);
+});
+
+addUserBtn.addEventListener('click', async () => {
+    const result = await window.electronAPI.addUser({
+        username: newUsernameInput.value.trim(),
+        password: userPasswordInput.value,
+        admin: newUserAdminCheckbox.checked
+    });
+    if (!result.success) {
+        alert('Failed to add the user: ' + result.error);
+        return;
+    }
+    
+    newUsernameInput.value = '';
+    userPasswordInput.value = '';
+    newUserAdminCheckbox.checked = false;
+    addLogEntry(`Added ${result.user.admin ? 'administrator' : 'user'} ${result.user.username}`, 'success', usersLog);
+    await loadUsers();
+});
+
+setUserPasswordBtn.addEventListener('click', async () => {
+    const username = userSelect.value;
+    if (!username || !confirm(`Set a new password for ${username}?`)) {
+        return;
+    }
+    
+    const result = await window.electronAPI.setUserPassword(username, userPasswordInput.value);
+    if (!result.success) {
+        alert('Failed to set the password: ' + result.error);
+        return;
+    }
+    
+    userPasswordInput.value = '';
+    addLogEntry(`Password of ${username} set (account unlocked)`, 'success', usersLog);
+    await loadUsers();
+});
+
+removeUserBtn.addEventListener('click', async () => {
+    const username = userSelect.value;
+    if (!username || !confirm(`Remove the user ${username}? They will no longer be able to sign in.`)) {
+        return;
+    }
+    
+    const result = await window.electronAPI.removeUser(username);
+    if (!result.success) {
+        alert('Failed to remove the user: ' + result.error);
+        return;
+    }
+    
+    addLogEntry(`Removed user ${username}`, 'info', usersLog);
+    await loadUsers();
+});
+
+loadCurrentUser();
+
 // Auto-updater functionality
 const checkUpdatesBtn = document.getElementById('check-updates-btn');
 const downloadInstallBtn = document.getElementById('download-install-btn');
@@ -0,0 +1,178 @@
+/**
+ * Chunker Benchmark Script
+ * Checks that the split-integer FastCDC core finds exactly the same boundaries
+ * as a straightforward BigInt reference implementation of the paper, and
+ * reports throughput for both.
+ *
+ * Usage:
+ *   node scripts/benchmark-chunker.js [--size <MB>] [--file <path>]
+ *
+ * Without --file, deterministic pseudo-random data of --size MB (default 64) is used.
+ * Exits with code 1 if any boundary differs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { FastCDC, GEAR, MASKS } = require('../src/chunkManager');
+
+const MASK_64 = 0xffffffffffffffffn;
+
+// Chunk size configurations to compare (small sizes give many boundaries)
+const CONFIGS = [
+  { name: '4K/16K/64K', minSize: 4 * 1024, avgSize: 16 * 1024, maxSize: 64 * 1024 },
+  { name: '64K/256K/1M', minSize: 64 * 1024, avgSize: 256 * 1024, maxSize: 1024 * 1024 },
+  { name: '5M/10M/20M (default)', minSize: 5 * 1024 * 1024, avgSize: 10 * 1024 * 1024, maxSize: 20 * 1024 * 1024 }
+];
+
+function parseArgs(argv) {
+  const args = { size: 64, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--size') {
+      args.size = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--file') {
+      args.file = argv[++i];
+    }
+  }
+  return args;
+}
+
+/**
+ * Deterministic pseudo-random data (SHA256 in counter mode)
+ */
+function generateData(sizeMB) {
+  const buffer = Buffer.alloc(sizeMB * 1024 * 1024);
+  for (let offset = 0, counter = 0; offset < buffer.length; offset += 32, counter++) {
+    const block = crypto.createHash('sha256').update(`roleplayai-${counter}`).digest();
+    block.copy(buffer, offset);
+  }
+  return buffer;
+}
+
+/**
+ * Rebuild the gear table from its definition to check the embedded constants
+ */
+function verifyGearTable() {
+  for (let i = 0; i < 256; i++) {
+    const digest = crypto.createHash('md5').update(Buffer.alloc(64, i)).digest();
+    if (digest.readBigUInt64BE(0) !== GEAR[i]) {
+      throw new Error(`Gear table entry ${i} does not match its MD5 definition`);
+    }
+  }
+}
+
+/**
+ * Reference cut point (FastCDC paper, Algorithm 2) using 64-bit BigInt arithmetic
+ * Returns the length of the chunk starting at `start`
+ */
+function referenceCut(source, start, minSize, avgSize, maxSize, maskS, maskL) {
+  let remaining = source.length - start;
+  if (remaining <= minSize) {
+    return remaining;
+  }
+
+  let normalSize = avgSize;
+  if (remaining >= maxSize) {
+    remaining = maxSize;
+  } else if (remaining <= normalSize) {
+    normalSize = remaining;
+  }
+
+  let hash = 0n;
+  let i = minSize;
+  for (; i < normalSize; i++) {
+    hash = ((hash << 1n) + GEAR[source[start + i]]) & MASK_64;
+    if ((hash & maskS) === 0n) {
+      return i;
+    }
+  }
+  for (; i < remaining; i++) {
+    hash = ((hash << 1n) + GEAR[source[start + i]]) & MASK_64;
+    if ((hash & maskL) === 0n) {
+      return i;
+    }
+  }
+  return i;
+}
+
+function referenceBoundaries(source, config) {
+  const bits = Math.round(Math.log2(config.avgSize));
+  const maskIndex = (n) => Math.min(Math.max(n, 6), MASKS.length - 1);
+  const maskS = MASKS[maskIndex(bits + 1)];
+  const maskL = MASKS[maskIndex(bits - 1)];
+
+  const boundaries = [];
+  let start = 0;
+  while (start < source.length) {
+    start += referenceCut(source, start, config.minSize, config.avgSize, config.maxSize, maskS, maskL);
+    boundaries.push(start);
+  }
+  return boundaries;
+}
+
+function fastBoundaries(source, config) {
+  const fastCDC = new FastCDC(config);
+  const state = fastCDC.createState();
+  const boundaries = [];
+
+  // Feed the data in 1MB slices, the same way stream() reads files
+  const sliceSize = 1024 * 1024;
+  for (let sliceStart = 0; sliceStart < source.length; sliceStart += sliceSize) {
+    const slice = source.subarray(sliceStart, Math.min(sliceStart + sliceSize, source.length));
+    let position = 0;
+    while (position < slice.length) {
+      const boundary = fastCDC.findBoundary(slice, position, slice.length, state);
+      if (boundary === -1) break;
+      boundaries.push(sliceStart + boundary);
+      position = boundary;
+    }
+  }
+  if (boundaries[boundaries.length - 1] !== source.length) {
+    boundaries.push(source.length);
+  }
+  return boundaries;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  return { result, seconds };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  verifyGearTable();
+  console.log('✓ Gear table matches its MD5 definition');
+
+  const data = args.file ? fs.readFileSync(args.file) : generateData(args.size);
+  const sizeMB = data.length / 1024 / 1024;
+  console.log(`Data: ${args.file || 'pseudo-random'} (${sizeMB.toFixed(1)} MB)\n`);
+
+  let mismatches = 0;
+
+  for (const config of CONFIGS) {
+    const reference = time(() => referenceBoundaries(data, config));
+    const fast = time(() => fastBoundaries(data, config));
+
+    const identical = reference.result.length === fast.result.length &&
+      reference.result.every((boundary, i) => boundary === fast.result[i]);
+
+    if (!identical) {
+      mismatches++;
+    }
+
+    console.log(`[${config.name}] ${identical ? '✓ identical' : '✗ MISMATCH'} (${fast.result.length} chunks)`);
+    console.log(`  reference (BigInt): ${(sizeMB / reference.seconds).toFixed(1)} MB/s`);
+    console.log(`  fast (integer):     ${(sizeMB / fast.seconds).toFixed(1)} MB/s`);
+  }
+
+  if (mismatches > 0) {
+    console.error(`\n✗ ${mismatches} configuration(s) produced different boundaries`);
+    process.exit(1);
+  }
+
+  console.log('\n✓ All boundaries identical');
+}
+
+main();
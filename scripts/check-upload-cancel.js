@@ -0,0 +1,140 @@
+/**
+ * Upload Cancel Check Script
+ * Starts an upload against a local stand-in for R2 that never answers the chunk
+ * store listing, cancels while the listing is in flight and checks that the
+ * upload returns the cancel result (nothing started, nothing published)
+ * instead of failing with an AbortError.
+ *
+ * Usage:
+ *   node scripts/check-upload-cancel.js
+ *
+ * Exits with code 1 if the upload does not end as cancelled.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { UploadManager } = require('../src/uploadManager');
+
+// Time the listing is left hanging before the upload is cancelled
+const CANCEL_AFTER_MS = 300;
+
+// Give up if the upload ignores the cancel
+const TIMEOUT_MS = 10000;
+
+function hash(character) {
+  return character.repeat(64);
+}
+
+/**
+ * HTTP server that holds every request open (the listing never completes)
+ * onRequest(req) is called for each request
+ */
+function startHangingServer(onRequest) {
+  const sockets = new Set();
+  const server = http.createServer((req) => onRequest(req));
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const close = () => new Promise((done) => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      });
+      resolve({ port: server.address().port, close });
+    });
+  });
+}
+
+function writeManifest(dir) {
+  const manifest = {
+    version: '1.0.0',
+    buildType: 'production',
+    files: [
+      {
+        filename: 'Game.pak',
+        size: 6,
+        chunks: [{ hash: hash('a'), size: 3, offset: 0 }, { hash: hash('b'), size: 3, offset: 3 }]
+      }
+    ]
+  };
+  const manifestPath = path.join(dir, 'manifest.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  return manifestPath;
+}
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-cancel-'));
+  const requests = [];
+  let listingStarted;
+  const listing = new Promise((resolve) => { listingStarted = resolve; });
+
+  const server = await startHangingServer((req) => {
+    requests.push(`${req.method} ${req.url}`);
+    if (req.url.includes('list-type=2')) {
+      listingStarted();
+    }
+  });
+
+  const manager = new UploadManager({
+    bucket: 'bucket',
+    endpoint: `http://127.0.0.1:${server.port}`,
+    accessKeyId: 'check',
+    secretAccessKey: 'check'
+  });
+
+  let result = null;
+  let error = null;
+  try {
+    const upload = manager.upload({
+      newManifestPath: writeManifest(dir),
+      mode: 'full',
+      chunksDir: path.join(dir, 'chunks'),
+      version: '1.0.0',
+      buildType: 'production'
+    });
+
+    const timeout = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`Upload did not end within ${TIMEOUT_MS / 1000}s of the cancel`)), TIMEOUT_MS).unref();
+    });
+
+    await Promise.race([listing, timeout]);
+    await new Promise(resolve => setTimeout(resolve, CANCEL_AFTER_MS));
+    manager.cancel();
+    result = await Promise.race([upload, timeout]);
+  } catch (caught) {
+    error = caught;
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const checks = [
+    ['upload resolves instead of throwing', !error],
+    ['result is cancelled', Boolean(result && result.cancelled && result.state === 'cancelled')],
+    ['nothing is published', Boolean(result && result.published === false)],
+    ['no chunk is started', Boolean(result && result.stats.notStartedChunks === 2)],
+    ['only the listing reached R2', requests.length > 0 && requests.every(request => request.includes('list-type=2'))]
+  ];
+
+  let failures = 0;
+  for (const [name, ok] of checks) {
+    if (!ok) {
+      failures++;
+    }
+    console.log(`[${name}] ${ok ? '✓' : '✗'}`);
+  }
+
+  if (failures > 0) {
+    console.error(`\n✗ ${failures} check(s) failed${error ? ` - ${error.name}: ${error.message}` : ''}`);
+    process.exit(1);
+  }
+
+  console.log('\n✓ Cancelling during the chunk store listing returns the cancel result');
+}
+
+main();
@@ -0,0 +1,94 @@
+/**
+ * Verify Report Check Script
+ * Checks that the deep-verify report maps missing and mismatched chunks to the
+ * manifest files that contain them (by file name), including chunks shared by
+ * several files and chunks repeated within one file.
+ *
+ * Usage:
+ *   node scripts/check-verify-report.js
+ *
+ * Exits with code 1 if any file is reported wrongly.
+ */
+
+const { getAffectedFiles } = require('../src/r2Uploader');
+
+function hash(character) {
+  return character.repeat(64);
+}
+
+const manifest = {
+  version: '1.0.0',
+  files: [
+    { filename: 'Content/Paks/Game.pak', chunks: [{ hash: hash('a') }, { hash: hash('b') }, { hash: hash('a') }] },
+    { filename: 'Binaries/Win64/Game.exe', chunks: [{ hash: hash('c') }] },
+    { filename: 'Content/Movies/Intro.mp4', chunks: [{ hash: hash('b') }, { hash: hash('d') }] },
+    { filename: 'Manifest.txt', chunks: [{ hash: hash('e') }] }
+  ]
+};
+
+const CASES = [
+  {
+    name: 'nothing missing',
+    missing: [],
+    mismatched: [],
+    expected: []
+  },
+  {
+    name: 'missing chunk repeated within a file',
+    missing: [hash('a')],
+    mismatched: [],
+    expected: [
+      { filename: 'Content/Paks/Game.pak', missingChunks: [hash('a')], mismatchedChunks: [] }
+    ]
+  },
+  {
+    name: 'mismatched chunk shared by two files',
+    missing: [],
+    mismatched: [hash('b')],
+    expected: [
+      { filename: 'Content/Paks/Game.pak', missingChunks: [], mismatchedChunks: [hash('b')] },
+      { filename: 'Content/Movies/Intro.mp4', missingChunks: [], mismatchedChunks: [hash('b')] }
+    ]
+  },
+  {
+    name: 'missing and mismatched chunks in different files',
+    missing: [hash('c')],
+    mismatched: [hash('d')],
+    expected: [
+      { filename: 'Binaries/Win64/Game.exe', missingChunks: [hash('c')], mismatchedChunks: [] },
+      { filename: 'Content/Movies/Intro.mp4', missingChunks: [], mismatchedChunks: [hash('d')] }
+    ]
+  }
+];
+
+function main() {
+  let failures = 0;
+
+  for (const testCase of CASES) {
+    const report = getAffectedFiles(
+      manifest,
+      testCase.missing.map(chunkHash => ({ hash: chunkHash })),
+      testCase.mismatched.map(chunkHash => ({ hash: chunkHash }))
+    );
+
+    const ok = JSON.stringify(report) === JSON.stringify(testCase.expected);
+    if (!ok) {
+      failures++;
+    }
+
+    console.log(`[${testCase.name}] ${ok ? '✓' : '✗ WRONG REPORT'}`);
+    if (!ok) {
+      console.log(`  expected: ${JSON.stringify(testCase.expected.map(file => file.filename))}`);
+      console.log(`  got:      ${JSON.stringify(report.map(file => file.filename))}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n✗ ${failures} case(s) reported the wrong files`);
+    process.exit(1);
+  }
+
+  console.log('\n✓ All affected files reported by file name');
+}
+
+main();
@@ -0,0 +1,177 @@
+// bandwidthLimiter.js
+// Upload rate limit shared by all concurrent uploads (token bucket with an optional unlimited time window)
+
+// Tokens that can build up while the connection is idle (seconds of the limit)
+const BURST_SECONDS = 1;
+
+// Longest single wait, so a changed limit or schedule takes effect quickly
+const MAX_WAIT_MS = 250;
+
+/**
+ * Minutes since midnight of an 'HH:MM' time, or null if it is not valid
+ */
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function createAbortError() {
+    const error = new Error('Upload cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Token bucket limiting the total upload rate
+ * settings: { limitMBps, schedule: { unlimitedFrom: 'HH:MM', unlimitedUntil: 'HH:MM' } }
+ * limitMBps 0 means unlimited. During the schedule window (which may wrap past midnight)
+ * uploads are not limited. Settings can be changed while uploads are running.
+ */
+class BandwidthLimiter {
+    constructor(settings = {}) {
+        this.limitBytesPerSecond = 0;
+        this.schedule = null;
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+        this.configure(settings);
+    }
+    
+    /**
+     * Apply new settings (live)
+     */
+    configure(settings = {}) {
+        const { limitMBps = 0, schedule = null } = settings;
+        
+        const limit = Number(limitMBps);
+        if (!Number.isFinite(limit) || limit < 0) {
+            throw new Error(`Invalid upload limit: ${limitMBps}`);
+        }
+        
+        let parsedSchedule = null;
+        if (schedule && (schedule.unlimitedFrom || schedule.unlimitedUntil)) {
+            const unlimitedFrom = schedule.unlimitedFrom || '00:00';
+            const unlimitedUntil = schedule.unlimitedUntil || '00:00';
+            const from = parseTimeOfDay(unlimitedFrom);
+            const until = parseTimeOfDay(unlimitedUntil);
+            if (from === null || until === null) {
+                throw new Error(`Invalid schedule: ${unlimitedFrom} - ${unlimitedUntil} (use HH:MM)`);
+            }
+            parsedSchedule = { unlimitedFrom, unlimitedUntil, from, until };
+        }
+        
+        this.refill();
+        this.limitBytesPerSecond = limit * 1024 * 1024;
+        this.schedule = parsedSchedule;
+        this.tokens = Math.min(this.tokens, this.limitBytesPerSecond * BURST_SECONDS);
+    }
+    
+    /**
+     * Whether date falls in the unlimited window of the schedule
+     */
+    isUnlimitedWindow(date = new Date()) {
+        if (!this.schedule) {
+            return false;
+        }
+        
+        const { from, until } = this.schedule;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        
+        // 'until' equal to 'from' is the whole day, 'until' before 'from' wraps past midnight
+        if (from === until) {
+            return true;
+        }
+        return from < until
+            ? minutes >= from && minutes < until
+            : minutes >= from || minutes < until;
+    }
+    
+    /**
+     * Limit in bytes per second right now (0 = unlimited)
+     */
+    getCurrentLimit(date = new Date()) {
+        return this.isUnlimitedWindow(date) ? 0 : this.limitBytesPerSecond;
+    }
+    
+    /**
+     * Current settings and effective limit, for the Upload tab
+     */
+    getStatus() {
+        const currentLimit = this.getCurrentLimit();
+        return {
+            limitMBps: this.limitBytesPerSecond / 1024 / 1024,
+            schedule: this.schedule
+                ? { unlimitedFrom: this.schedule.unlimitedFrom, unlimitedUntil: this.schedule.unlimitedUntil }
+                : null,
+            limited: currentLimit > 0,
+            currentLimitMBps: currentLimit / 1024 / 1024
+        };
+    }
+    
+    refill() {
+        const now = Date.now();
+        const limit = this.getCurrentLimit();
+        if (limit > 0) {
+            this.tokens = Math.min(this.tokens + (now - this.lastRefill) / 1000 * limit, limit * BURST_SECONDS);
+        }
+        this.lastRefill = now;
+    }
+    
+    /**
+     * Wait until byteCount bytes may be sent
+     * Callers are served in order, so concurrent uploads share the limit evenly.
+     * A block larger than the bucket is let through and paid off before the next one.
+     */
+    consume(byteCount, signal = null) {
+        const turn = this.queue.then(() => this.take(byteCount, signal));
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+    
+    async take(byteCount, signal) {
+        for (;;) {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            
+            this.refill();
+            const limit = this.getCurrentLimit();
+            if (limit === 0) {
+                this.tokens = 0;
+                return;
+            }
+            if (this.tokens >= 0) {
+                this.tokens -= byteCount;
+                return;
+            }
+            
+            await delay(Math.min(Math.ceil(-this.tokens / limit * 1000), MAX_WAIT_MS), signal);
+        }
+    }
+}
+
+module.exports = {
+    BandwidthLimiter,
+    parseTimeOfDay
+};
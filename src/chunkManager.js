@@ -5,12 +5,155 @@ const crypto = require('crypto');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+/**
+ * Chunker version written into manifests so the launcher can tell which
+ * algorithm produced the chunk boundaries.
+ * 1 = legacy single-mask chunker (manifests without a chunkerVersion field)
+ * 2 = FastCDC with the canonical gear table and normalized chunking (level 1)
+ */
+const CHUNKER_VERSION = 2;
+
+/**
+ * Normalization level used to pick MaskS/MaskL around the average chunk size
+ */
+const NORMALIZATION_LEVEL = 1;
+
+/**
+ * Read buffer size used when scanning files
+ */
+const READ_BUFFER_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * Canonical FastCDC gear table.
+ * Each entry is the high 64 bits of the MD5 digest of 64 bytes filled with
+ * the table index (0-255). Same values as the reference implementation.
+ */
+const GEAR = new BigUint64Array([
+    0x3b5d3c7d207e37dcn, 0x784d68ba91123086n, 0xcd52880f882e7298n, 0xeacf8e4e19fdcca7n,
+    0xc31f385dfbd1632bn, 0x1d5f27001e25abe6n, 0x83130bde3c9ad991n, 0xc4b225676e9b7649n,
+    0xaa329b29e08eb499n, 0xb67fcbd21e577d58n, 0x0027baaada2acf6bn, 0xe3ef2d5ac73c2226n,
+    0x0890f24d6ed312b7n, 0xa809e036851d7c7en, 0xf0a6fe5e0013d81bn, 0x1d026304452cec14n,
+    0x03864632648e248fn, 0xcdaacf3dcd92b9b4n, 0xf5e012e63c187856n, 0x8862f9d3821c00b6n,
+    0xa82f7338750f6f8an, 0x1e583dc6c1cb0b6fn, 0x7a3145b69743a7f1n, 0xabb20fee404807ebn,
+    0xb14b3cfe07b83a5dn, 0xb9dc27898adb9a0fn, 0x3703f5e91baa62ben, 0xcf0bb866815f7d98n,
+    0x3d9867c41ea9dcd3n, 0x1be1fa65442bf22cn, 0x14300da4c55631d9n, 0xe698e9cbc6545c99n,
+    0x4763107ec64e92a5n, 0xc65821fc65696a24n, 0x76196c064822f0b7n, 0x485be841f3525e01n,
+    0xf652bc9c85974ff5n, 0xcad8352face9e3e9n, 0x2a6ed1dceb35e98en, 0xc6f483badc11680fn,
+    0x3cfd8c17e9cf12f1n, 0x89b83c5e2ea56471n, 0xae665cfd24e392a9n, 0xec33c4e504cb8915n,
+    0x3fb9b15fc9fe7451n, 0xd7fd1fd1945f2195n, 0x31ade0853443efd8n, 0x255efc9863e1e2d2n,
+    0x10eab6008d5642cfn, 0x46f04863257ac804n, 0xa52dc42a789a27d3n, 0xdaaadf9ce77af565n,
+    0x6b479cd53d87febbn, 0x6309e2d3f93db72fn, 0xc5738ffbaa1ff9d6n, 0x6bd57f3f25af7968n,
+    0x67605486d90d0a4an, 0xe14d0b9663bfbdaen, 0xb7bbd8d816eb0414n, 0xdef8a4f16b35a116n,
+    0xe7932d85aaaffed6n, 0x08161cbae90cfd48n, 0x855507beb294f08bn, 0x91234ea6ffd399b2n,
+    0xad70cf4b2435f302n, 0xd289a97565bc2d27n, 0x8e558437ffca99den, 0x96d2704b7115c040n,
+    0x0889bbcdfc660e41n, 0x5e0d4e67dc92128dn, 0x72a9f8917063ed97n, 0x438b69d409e016e3n,
+    0xdf4fed8a5d8a4397n, 0x00f41dcf41d403f7n, 0x4814eb038e52603fn, 0x9dafbacc58e2d651n,
+    0xfe2f458e4be170afn, 0x4457ec414df6a940n, 0x06e62f1451123314n, 0xbd1014d173ba92ccn,
+    0xdef318e25ed57760n, 0x9fea0de9dfca8525n, 0x459de1e76c20624bn, 0xaeec189617e2d666n,
+    0x126a2c06ab5a83cbn, 0xb1321532360f6132n, 0x65421503dbb40123n, 0x2d67c287ea089ab3n,
+    0x6c93bff5a56bd6b6n, 0x4ffb2036cab6d98dn, 0xce7b785b1be7ad4fn, 0xedb42ef6189fd163n,
+    0xdc905288703988f6n, 0x365f9c1d2c691884n, 0xc640583680d99bfen, 0x3cd4624c07593ec6n,
+    0x7f1ea8d85d7c5805n, 0x014842d480b57149n, 0x0b649bcb5a828688n, 0xbcd5708ed79b18f0n,
+    0xe987c862fbd2f2f0n, 0x982731671f0cd82cn, 0xbaf13e8b16d8c063n, 0x8ea3109cbd951bban,
+    0xd141045bfb385cadn, 0x2acbc1a0af1f7d30n, 0xe6444d89df03bfdfn, 0xa18cc771b8188ff9n,
+    0x9834429db01c39bbn, 0x214add07fe086a1fn, 0x8f07c19b1f6b3ff9n, 0x56a297b1bf4ffe55n,
+    0x94d558e493c54fc7n, 0x40bfc24c764552cbn, 0x931a706f8a8520cbn, 0x32229d322935bd52n,
+    0x2560d0f5dc4fefafn, 0x9dbcc48355969bb6n, 0x0fd81c3985c0b56an, 0xe03817e1560f2bdan,
+    0xc1bb4f81d892b2d5n, 0xb0c4864f4e28d2d7n, 0x3ecc49f9d9d6c263n, 0x51307e99b52ba65en,
+    0x8af2b688da84a752n, 0xf5d72523b91b20b6n, 0x6d95ff1ff4634806n, 0x562f21555458339an,
+    0xc0ce47f889336346n, 0x487823e5089b40d8n, 0xe4727c7ebc6d9592n, 0x5a8f7277e94970ban,
+    0xfca2f406b1c8bb50n, 0x5b1f8a95f1791070n, 0xd304af9fc9028605n, 0x5440ab7fc930e748n,
+    0x312d25fbca2ab5a1n, 0x10f4a4b234a4d575n, 0x90301d55047e7473n, 0x3b6372886c61591en,
+    0x293402b77c444e06n, 0x451f34a4d3e97dd7n, 0x3158d814d81bc57bn, 0x034942425b9bda69n,
+    0xe2032ff9e532d9bbn, 0x62ae066b8b2179e5n, 0x9545e10c2f8d71d8n, 0x7ff7483eb2d23fc0n,
+    0x00945fcebdc98d86n, 0x8764bbbe99b26ca2n, 0x1b1ec62284c0bfc3n, 0x58e0fcc4f0aa362bn,
+    0x5f4abefa878d458dn, 0xfd74ac2f9607c519n, 0xa4e3fb37df8cbfa9n, 0xbf697e43cac574e5n,
+    0x86f14a3f68f4cd53n, 0x24a23d076f1ce522n, 0xe725cd8048868cc8n, 0xbf3c729eb2464362n,
+    0xd8f6cd57b3cc1ed8n, 0x6329e52425541577n, 0x62aa688ad5ae1ac0n, 0x0a242566269bf845n,
+    0x168b1a4753aca74bn, 0xf789afefff2e7e3cn, 0x6c3362093b6fccdbn, 0x4ce8f50bd28c09b2n,
+    0x006a2db95ae8aa93n, 0x975b0d623c3d1a8cn, 0x18605d3935338c5bn, 0x5bb6f6136cad3c71n,
+    0x0f53a20701f8d8a6n, 0xab8c5ad2e7e93c67n, 0x40b5ac5127acaa29n, 0x8c7bf63c2075895fn,
+    0x78bd9f7e014a805cn, 0xb2c9e9f4f9c8c032n, 0xefd6049827eb91f3n, 0x2be459f482c16fbdn,
+    0xd92ce0c5745aaa8cn, 0x0aaa8fb298d965b9n, 0x2b37f92c6c803b15n, 0x8c54a5e94e0f0e78n,
+    0x95f9b6e90c0a3032n, 0xe7939faa436c7874n, 0xd16bfe8f6a8a40c9n, 0x44982b86263fd2fan,
+    0xe285fb39f984e583n, 0x779a8df72d7619d3n, 0xf2d79a8de8d5dd1en, 0xd1037354d66684e2n,
+    0x004c82a4e668a8e5n, 0x31d40a7668b044e6n, 0xd70578538bd02c11n, 0xdb45431078c5f482n,
+    0x977121bb7f6a51adn, 0x73d5ccbd34eff8ddn, 0xe437a07d356e17cdn, 0x47b2782043c95627n,
+    0x9fb251413e41d49an, 0xccd70b60652513d3n, 0x1c95b31e8a1b49b2n, 0xcae73dfd1bcb4c1bn,
+    0x34d98331b1f5b70fn, 0x784e39f22338d92fn, 0x18613d4a064df420n, 0xf1d8dae25f0bceben,
+    0x33f77c15ae855efcn, 0x3c88b3b912eb109cn, 0x956a2ec96bafeea5n, 0x1aa005b5e0ad0e87n,
+    0x5500d70527c4bb8en, 0xe36c57196421cc44n, 0x13c4d286cc36ee39n, 0x5654a23d818b2a81n,
+    0x77b1dc13d161abdcn, 0x734f44de5f8d5eb5n, 0x60717e174a6c89a2n, 0xd47d9649266a211en,
+    0x5b13a4322bb69e90n, 0xf7669609f8b5fc3cn, 0x21e6ac55bedcdac9n, 0x9b56b62b61166dean,
+    0xf48f66b939797e9cn, 0x35f332f9c0e6ae9an, 0xcc733f6a9a878db0n, 0x3da161e41cc108c2n,
+    0xb7d74ae535914d51n, 0x4d493b0b11d36469n, 0xce264d1dfba9741an, 0xa9d1f2dc7436dc06n,
+    0x70738016604c2a27n, 0x231d36e96e93f3d5n, 0x7666881197838d19n, 0x4a2a83090aaad40cn,
+    0xf1e761591668b35dn, 0x7363236497f730a7n, 0x301080e37379dd4dn, 0x502dea2971827042n,
+    0xc2c5eb858f32625fn, 0x786afb9edfafbdffn, 0xdaee0d868490b2a4n, 0x617366b3268609f6n,
+    0xae0e35a0fe46173en, 0xd1a07de93e824f11n, 0x079b8b115ea4cca8n, 0x93a99274558faebbn,
+    0xfb1e6e22e08a03b3n, 0xea635fdba3698dd0n, 0xcf53659328503a5cn, 0xcde3b31e6fd5d780n,
+    0x8e3e4221d3614413n, 0xef14d0d86bf1a22cn, 0xe1d830d3f16c5ddbn, 0xaabd2b2a451504e1n
+]);
+
+/**
+ * Gear table split into two 24-bit halves (bits 0-23 and 24-47) so the rolling
+ * hash runs on small-integer arithmetic instead of BigInt.
+ * Every mask fits in the low 48 bits, and with hash = (hash << 1) + gear carries
+ * only move upwards, so bits 48-63 of the hash can never affect a boundary.
+ */
+const HASH_SPLIT_BITS = 24;
+const HASH_HALF_MASK = 0xffffff;
+const GEAR_LO = new Int32Array(256);
+const GEAR_HI = new Int32Array(256);
+for (let i = 0; i < 256; i++) {
+    GEAR_LO[i] = Number(GEAR[i] & 0xffffffn);
+    GEAR_HI[i] = Number((GEAR[i] >> 24n) & 0xffffffn);
+}
+
+/**
+ * FastCDC boundary masks indexed by the number of effective bits.
+ * The 1 bits are spread out (zero-padded) as described in the paper, which
+ * gives a larger sliding window than a contiguous low-bit mask.
+ */
+const MASKS = [
+    0n,                   // padding
+    0n,                   // padding
+    0n,                   // padding
+    0n,                   // padding
+    0n,                   // padding
+    0x0000000001804110n,  // unused except for normalization level 3
+    0x0000000001803110n,  // 64B
+    0x0000000018035100n,  // 128B
+    0x0000001800035300n,  // 256B
+    0x0000019000353000n,  // 512B
+    0x0000590003530000n,  // 1KB
+    0x0000d90003530000n,  // 2KB
+    0x0000d90103530000n,  // 4KB
+    0x0000d90303530000n,  // 8KB
+    0x0000d90313530000n,  // 16KB
+    0x0000d90f03530000n,  // 32KB
+    0x0000d90303537000n,  // 64KB
+    0x0000d90703537000n,  // 128KB
+    0x0000d90707537000n,  // 256KB
+    0x0000d91707537000n,  // 512KB
+    0x0000d91747537000n,  // 1MB
+    0x0000d91767537000n,  // 2MB
+    0x0000d93767537000n,  // 4MB
+    0x0000d93777537000n,  // 8MB
+    0x0000d93777577000n,  // 16MB
+    0x0000db3777577000n   // 32MB
+];
 
 /**
  * FastCDC implementation based on the paper:
  * "FastCDC: A Fast and Efficient Content-Defined Chunking Approach for Data Deduplication"
  * 
- * Uses Gear hash for rolling hash calculation
+ * Uses Gear hash for rolling hash calculation, cut-point skipping (no hashing
+ * below minSize) and normalized chunking: a stricter mask (MaskS) before
+ * avgSize and a looser mask (MaskL) after it, so chunk sizes cluster around avgSize.
  */
 class FastCDC {
     constructor(options = {}) {
@@ -20,122 +163,203 @@ class FastCDC {
         this.avgSize = options.avgSize || 10 * 1024 * 1024;     // 10MB average
         this.maxSize = options.maxSize || 20 * 1024 * 1024;    // 20MB maximum
         
-        // Mask for determining chunk boundaries
-        // We want chunks around avgSize, so we calculate mask based on avgSize
-        this.mask = this.calculateMask(this.avgSize);
+        if (this.minSize > this.avgSize || this.avgSize > this.maxSize) {
+            throw new Error(`Invalid chunk sizes: expected min <= avg <= max (got ${this.minSize}, ${this.avgSize}, ${this.maxSize})`);
+        }
         
-        // Gear hash table (precomputed for performance)
-        this.gear = this.generateGearTable();
+        // Masks for normalized chunking around avgSize
+        const bits = Math.round(Math.log2(this.avgSize));
+        this.maskS = this.getMask(bits + NORMALIZATION_LEVEL);
+        this.maskL = this.getMask(bits - NORMALIZATION_LEVEL);
+        
+        this.version = CHUNKER_VERSION;
     }
     
     /**
-     * Calculate mask for chunk boundary detection
+     * Get the boundary mask with the given number of effective bits
+     * Clamped to the range covered by the mask table
+     * Returns the mask split into 24-bit halves: { lo, hi }
      */
-    calculateMask(avgSize) {
-        // Use bit manipulation to create a mask that gives us chunks around avgSize
-        // This is a simplified approach - FastCDC uses more sophisticated mask calculation
-        const bits = Math.floor(Math.log2(avgSize));
-        return (1 << bits) - 1;
+    getMask(bits) {
+        const index = Math.min(Math.max(bits, 6), MASKS.length - 1);
+        return {
+            lo: Number(MASKS[index] & 0xffffffn),
+            hi: Number(MASKS[index] >> 24n)
+        };
     }
     
     /**
-     * Generate Gear hash table (64 random 64-bit integers)
+     * Create boundary detection state for a new stream of data
+     * The Gear hash is kept as two 24-bit halves (see GEAR_LO/GEAR_HI)
      */
-    generateGearTable() {
-        const gear = new BigUint64Array(256);
-        // Use a deterministic seed for reproducibility
-        // In production, you might want to use the standard FastCDC gear table
-        const multiplier = 0x9e3779b97f4a7c15n;
-        for (let i = 0; i < 256; i++) {
-            // Simplified gear table - in production use the standard FastCDC table
-            // Convert i to BigInt before multiplication
-            gear[i] = (BigInt(i) * multiplier) & 0xffffffffffffffffn;
-        }
-        return gear;
+    createState() {
+        return { hashLo: 0, hashHi: 0, length: 0 };
     }
     
     /**
-     * Update Gear hash with a new byte
+     * Scan buffer[start..end) for the next chunk boundary.
+     * state carries the hash and length of the chunk in progress across calls.
+     * Returns the buffer index where the next chunk starts (the current chunk
+     * ends just before it), or -1 if no boundary was found in this range.
+     * 
+     * Gear hash: hash = (hash << 1) + gear[byte], computed on 24-bit halves with
+     * an explicit carry. Boundaries are identical to the 64-bit BigInt reference
+     * implementation (see scripts/benchmark-chunker.js).
      */
-    updateHash(hash, byte) {
-        // FastCDC Gear hash: hash = (hash << 1) + gear[byte]
-        return ((hash << 1n) + this.gear[byte]) & 0xffffffffffffffffn;
+    findBoundary(buffer, start, end, state) {
+        let i = start;
+        let length = state.length;
+        
+        // Cut-point skipping: bytes below minSize can never be a boundary
+        if (length < this.minSize) {
+            const skip = Math.min(end - i, this.minSize - length);
+            i += skip;
+            length += skip;
+        }
+        
+        const avgSize = this.avgSize;
+        const maxSize = this.maxSize;
+        let lo = state.hashLo;
+        let hi = state.hashHi;
+        
+        // Before avgSize: stricter mask (MaskS)
+        const sLo = this.maskS.lo;
+        const sHi = this.maskS.hi;
+        for (; i < end && length < avgSize; i++, length++) {
+            const byte = buffer[i];
+            lo = (lo << 1) + GEAR_LO[byte];
+            hi = ((hi << 1) + GEAR_HI[byte] + (lo >> HASH_SPLIT_BITS)) & HASH_HALF_MASK;
+            lo &= HASH_HALF_MASK;
+            
+            if ((lo & sLo) === 0 && (hi & sHi) === 0) {
+                return this.resetState(state, i);
+            }
+        }
+        
+        // From avgSize to maxSize: looser mask (MaskL)
+        const lLo = this.maskL.lo;
+        const lHi = this.maskL.hi;
+        for (; i < end; i++, length++) {
+            if (length >= maxSize) {
+                // Force boundary at max size
+                return this.resetState(state, i);
+            }
+            
+            const byte = buffer[i];
+            lo = (lo << 1) + GEAR_LO[byte];
+            hi = ((hi << 1) + GEAR_HI[byte] + (lo >> HASH_SPLIT_BITS)) & HASH_HALF_MASK;
+            lo &= HASH_HALF_MASK;
+            
+            if ((lo & lLo) === 0 && (hi & lHi) === 0) {
+                return this.resetState(state, i);
+            }
+        }
+        
+        state.hashLo = lo;
+        state.hashHi = hi;
+        state.length = length;
+        return -1;
     }
     
     /**
-     * Check if current position is a chunk boundary
+     * Reset boundary detection state after a cut and return the cut index
      */
-    isChunkBoundary(hash, position) {
-        if (position < this.minSize) return false;
-        if (position >= this.maxSize) return true; // Force boundary at max size
-        
-        // Check if hash matches mask pattern (simplified boundary detection)
-        return (hash & BigInt(this.mask)) === 0n;
+    resetState(state, index) {
+        state.hashLo = 0;
+        state.hashHi = 0;
+        state.length = 0;
+        return index;
     }
     
     /**
-     * Chunk a file or buffer using FastCDC
-     * Returns array of chunk objects: { hash, size, offset, data }
+     * Stream chunks of a file one at a time using FastCDC
+     * Yields chunk objects: { hash, size, offset, data }
+     * 
+     * The SHA256 of each chunk is computed incrementally while scanning and only
+     * one chunk buffer (maxSize) is held per stream, so memory stays bounded
+     * regardless of file size. `data` is reused for the next chunk - copy it if
+     * it has to outlive the current iteration.
+     * 
+     * Usage: for await (const chunk of fastCDC.stream(filePath)) { ... }
      */
-    async chunkFile(filePath) {
-        const chunks = [];
+    async *stream(filePath) {
         const fileHandle = await fs.open(filePath, 'r');
-        const stats = await fileHandle.stat();
-        const fileSize = stats.size;
+        const readBuffer = Buffer.allocUnsafe(READ_BUFFER_SIZE);
+        const chunkBuffer = Buffer.allocUnsafe(this.maxSize);
+        const state = this.createState();
         
         let offset = 0;
-        let hash = 0n;
         let chunkStart = 0;
-        const buffer = Buffer.alloc(65536); // 64KB read buffer
+        let chunkLength = 0;
+        let hasher = crypto.createHash('sha256');
         
-        while (offset < fileSize) {
-            const bytesToRead = Math.min(buffer.length, fileSize - offset);
-            const { bytesRead } = await fileHandle.read(buffer, 0, bytesToRead, offset);
+        // Append readBuffer[start..end) to the chunk in progress
+        const append = (start, end) => {
+            readBuffer.copy(chunkBuffer, chunkLength, start, end);
+            hasher.update(chunkBuffer.subarray(chunkLength, chunkLength + (end - start)));
+            chunkLength += end - start;
+        };
+        
+        const finishChunk = () => {
+            const chunk = {
+                hash: hasher.digest('hex'),
+                size: chunkLength,
+                offset: chunkStart,
+                data: chunkBuffer.subarray(0, chunkLength)
+            };
             
-            for (let i = 0; i < bytesRead; i++) {
-                const byte = buffer[i];
-                hash = this.updateHash(hash, byte);
-                offset++;
+            chunkStart += chunkLength;
+            chunkLength = 0;
+            hasher = crypto.createHash('sha256');
+            return chunk;
+        };
+        
+        try {
+            while (true) {
+                const { bytesRead } = await fileHandle.read(readBuffer, 0, readBuffer.length, offset);
+                if (bytesRead === 0) break;
                 
-                if (this.isChunkBoundary(hash, offset - chunkStart)) {
-                    const chunkSize = offset - chunkStart;
-                    const chunkData = Buffer.alloc(chunkSize);
-                    
-                    // Read the chunk data
-                    await fileHandle.read(chunkData, 0, chunkSize, chunkStart);
-                    
-                    // Calculate SHA256 hash of chunk
-                    const chunkHash = crypto.createHash('sha256').update(chunkData).digest('hex');
-                    
-                    chunks.push({
-                        hash: chunkHash,
-                        size: chunkSize,
-                        offset: chunkStart,
-                        data: chunkData
-                    });
+                let position = 0;
+                while (position < bytesRead) {
+                    const boundary = this.findBoundary(readBuffer, position, bytesRead, state);
+                    if (boundary === -1) {
+                        append(position, bytesRead);
+                        break;
+                    }
                     
-                    chunkStart = offset;
-                    hash = 0n; // Reset hash for next chunk
+                    append(position, boundary);
+                    yield finishChunk();
+                    position = boundary;
                 }
+                
+                offset += bytesRead;
             }
+            
+            // Handle remaining data as final chunk
+            if (chunkLength > 0) {
+                yield finishChunk();
+            }
+        } finally {
+            await fileHandle.close();
         }
+    }
+    
+    /**
+     * Chunk a file using FastCDC
+     * Returns array of chunk objects: { hash, size, offset, data }
+     * 
+     * Keeps every chunk's data in memory - use stream() for large files.
+     */
+    async chunkFile(filePath) {
+        const chunks = [];
         
-        // Handle remaining data as final chunk
-        if (chunkStart < fileSize) {
-            const chunkSize = fileSize - chunkStart;
-            const chunkData = Buffer.alloc(chunkSize);
-            await fileHandle.read(chunkData, 0, chunkSize, chunkStart);
-            const chunkHash = crypto.createHash('sha256').update(chunkData).digest('hex');
-            
+        for await (const chunk of this.stream(filePath)) {
             chunks.push({
-                hash: chunkHash,
-                size: chunkSize,
-                offset: chunkStart,
-                data: chunkData
+                ...chunk,
+                data: Buffer.from(chunk.data)
             });
         }
         
-        await fileHandle.close();
         return chunks;
     }
     
@@ -144,35 +368,11 @@ class FastCDC {
      */
     chunkBuffer(buffer) {
         const chunks = [];
-        let offset = 0;
-        let hash = 0n;
+        const state = this.createState();
         let chunkStart = 0;
         
-        for (let i = 0; i < buffer.length; i++) {
-            const byte = buffer[i];
-            hash = this.updateHash(hash, byte);
-            offset++;
-            
-            if (this.isChunkBoundary(hash, offset - chunkStart)) {
-                const chunkSize = offset - chunkStart;
-                const chunkData = buffer.slice(chunkStart, offset);
-                const chunkHash = crypto.createHash('sha256').update(chunkData).digest('hex');
-                
-                chunks.push({
-                    hash: chunkHash,
-                    size: chunkSize,
-                    offset: chunkStart,
-                    data: chunkData
-                });
-                
-                chunkStart = offset;
-                hash = 0n;
-            }
-        }
-        
-        // Handle remaining data
-        if (chunkStart < buffer.length) {
-            const chunkData = buffer.slice(chunkStart);
+        const pushChunk = (chunkEnd) => {
+            const chunkData = buffer.slice(chunkStart, chunkEnd);
             const chunkHash = crypto.createHash('sha256').update(chunkData).digest('hex');
             
             chunks.push({
@@ -181,12 +381,131 @@ class FastCDC {
                 offset: chunkStart,
                 data: chunkData
             });
+            
+            chunkStart = chunkEnd;
+        };
+        
+        let position = 0;
+        while (position < buffer.length) {
+            const boundary = this.findBoundary(buffer, position, buffer.length, state);
+            if (boundary === -1) break;
+            
+            pushChunk(boundary);
+            position = boundary;
+        }
+        
+        // Handle remaining data
+        if (chunkStart < buffer.length) {
+            pushChunk(buffer.length);
         }
         
         return chunks;
     }
 }
 
+/**
+ * Per-chunk compression (manifest chunk field `compression`)
+ * The chunk hash and size always describe the uncompressed data; compressed chunks
+ * are stored and uploaded as-is with `compressedSize` bytes and the extension below.
+ * zstd needs a Node.js runtime with zlib zstd support (22.15+, Electron 37+).
+ */
+const CHUNK_COMPRESSION = {
+    gzip: {
+        extension: '.gz',
+        compress: (data) => util.promisify(zlib.gzip)(data, { level: 6 }),
+        decompress: (data) => util.promisify(zlib.gunzip)(data),
+        createDecompressStream: () => zlib.createGunzip()
+    },
+    brotli: {
+        extension: '.br',
+        compress: (data) => util.promisify(zlib.brotliCompress)(data, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+            }
+        }),
+        decompress: (data) => util.promisify(zlib.brotliDecompress)(data),
+        createDecompressStream: () => zlib.createBrotliDecompress()
+    },
+    zstd: {
+        extension: '.zst',
+        compress: (data) => util.promisify(zlib.zstdCompress)(data),
+        decompress: (data) => util.promisify(zlib.zstdDecompress)(data),
+        createDecompressStream: () => zlib.createZstdDecompress()
+    }
+};
+
+/**
+ * Compression has to save at least this fraction of the chunk, otherwise the chunk is kept raw
+ */
+const MIN_COMPRESSION_SAVINGS = 0.02;
+
+/**
+ * Check whether a compression algorithm can be used in this runtime
+ */
+function isCompressionSupported(compression) {
+    if (!Object.prototype.hasOwnProperty.call(CHUNK_COMPRESSION, compression)) {
+        return false;
+    }
+    return compression !== 'zstd' || typeof zlib.zstdCompress === 'function';
+}
+
+/**
+ * Compress chunk data if it helps
+ * Returns { data, compression, compressedSize } - compression is null when the chunk stays raw
+ */
+async function compressChunk(data, compression) {
+    if (!compression || data.length === 0) {
+        return { data, compression: null, compressedSize: data.length };
+    }
+    
+    if (!isCompressionSupported(compression)) {
+        throw new Error(`Unsupported chunk compression: ${compression}`);
+    }
+    
+    const compressed = await CHUNK_COMPRESSION[compression].compress(data);
+    if (compressed.length > data.length * (1 - MIN_COMPRESSION_SAVINGS)) {
+        return { data, compression: null, compressedSize: data.length };
+    }
+    
+    return { data: compressed, compression, compressedSize: compressed.length };
+}
+
+/**
+ * Decompress chunk data downloaded or read from a chunk store
+ */
+async function decompressChunk(data, compression) {
+    if (!compression) {
+        return data;
+    }
+    
+    if (!isCompressionSupported(compression)) {
+        throw new Error(`Unsupported chunk compression: ${compression}`);
+    }
+    
+    return await CHUNK_COMPRESSION[compression].decompress(data);
+}
+
+/**
+ * Transform stream that decompresses chunk data stored with the given compression
+ */
+function createDecompressStream(compression) {
+    if (!isCompressionSupported(compression)) {
+        throw new Error(`Unsupported chunk compression: ${compression}`);
+    }
+    
+    return CHUNK_COMPRESSION[compression].createDecompressStream();
+}
+
+/**
+ * Object name of a chunk in R2 - compressed chunks get the extension of their algorithm
+ * so raw and compressed copies of the same chunk never share a key
+ */
+function getChunkObjectName(chunk) {
+    const extension = chunk.compression ? CHUNK_COMPRESSION[chunk.compression].extension : '';
+    return `${chunk.hash}${extension}`;
+}
+
 /**
  * Chunk Manager - Handles chunk storage, retrieval, and file reconstruction
  */
@@ -221,6 +540,7 @@ class ChunkManager {
     
     /**
      * Store a chunk to disk
+     * chunkData is written as given - for compressed chunks that is the compressed data
      */
     async storeChunk(chunkHash, chunkData) {
         const chunkPath = this.getChunkPath(chunkHash);
@@ -237,13 +557,14 @@ class ChunkManager {
     }
     
     /**
-     * Retrieve a chunk from disk
+     * Retrieve a chunk from disk (uncompressed)
+     * compression is the chunk's manifest `compression` field; the hash is checked after decompressing
      */
-    async getChunk(chunkHash) {
+    async getChunk(chunkHash, compression = null) {
         const chunkPath = this.getChunkPath(chunkHash);
         
         try {
-            const data = await fs.readFile(chunkPath);
+            const data = await decompressChunk(await fs.readFile(chunkPath), compression);
             // Verify hash
             const calculatedHash = crypto.createHash('sha256').update(data).digest('hex');
             if (calculatedHash !== chunkHash) {
@@ -280,7 +601,7 @@ class ChunkManager {
     
     /**
      * Reconstruct a file from chunks (OPTIMIZED)
-     * chunks: Array of { hash, size, offset } or { hash, data }
+     * chunks: Array of { hash, size, offset, compression? } or { hash, data } (data uncompressed)
      * 
      * Optimizations:
      * - Removed hash verification (chunks already verified when downloaded) - MAJOR SPEEDUP
@@ -314,7 +635,7 @@ class ChunkManager {
                             if (chunk.data) {
                                 return chunk.data;
                             } else {
-                                const data = await this.getChunk(chunk.hash);
+                                const data = await this.getChunk(chunk.hash, chunk.compression);
                                 if (!data) {
                                     throw new Error(`Missing chunk: ${chunk.hash}`);
                                 }
@@ -412,5 +733,17 @@ class ChunkManager {
     }
 }
 
-module.exports = { FastCDC, ChunkManager };
+module.exports = {
+    FastCDC,
+    ChunkManager,
+    CHUNKER_VERSION,
+    GEAR,
+    MASKS,
+    CHUNK_COMPRESSION,
+    isCompressionSupported,
+    compressChunk,
+    decompressChunk,
+    createDecompressStream,
+    getChunkObjectName
+};
 
@@ -0,0 +1,66 @@
+// chunkWorker.js
+// Worker thread for package preparation: chunks, hashes and stores one file per task
+
+const { parentPort, workerData } = require('worker_threads');
+const { ChunkManager, compressChunk } = require('./chunkManager');
+
+const chunkManager = new ChunkManager({
+    chunkCacheDir: workerData.chunksDir,
+    fastCDCOptions: workerData.fastCDCOptions
+});
+
+// Chunks already written by this worker (deduplication within the worker)
+// hash -> { compression, compressedSize }
+const storedChunks = new Map();
+
+/**
+ * Chunk a file and store its chunks (compressed if workerData.compression is set and it helps)
+ * Returns { chunks: [{ hash, size, offset, compression?, compressedSize? }] }
+ */
+async function processFile(task, onProgress) {
+    const fileChunks = [];
+    let offset = 0;
+    
+    for await (const chunk of chunkManager.fastCDC.stream(task.fullPath)) {
+        // Store chunk (deduplication happens automatically)
+        let stored = storedChunks.get(chunk.hash);
+        if (!stored) {
+            const encoded = await compressChunk(chunk.data, workerData.compression);
+            // storeChunk reports write errors with false - a chunk missing on disk must fail the file
+            if (!(await chunkManager.storeChunk(chunk.hash, encoded.data))) {
+                throw new Error(`Failed to store chunk ${chunk.hash} in ${chunkManager.chunkCacheDir}`);
+            }
+            stored = { compression: encoded.compression, compressedSize: encoded.compressedSize };
+            storedChunks.set(chunk.hash, stored);
+        }
+        
+        // Create chunk entry for manifest
+        // URL will be set later based on R2 bucket structure
+        const entry = {
+            hash: chunk.hash,
+            size: chunk.size,
+            offset: offset
+        };
+        if (stored.compression) {
+            entry.compression = stored.compression;
+            entry.compressedSize = stored.compressedSize;
+        }
+        fileChunks.push(entry);
+        
+        offset += chunk.size;
+        onProgress({ bytes: chunk.size });
+    }
+    
+    return { chunks: fileChunks };
+}
+
+parentPort.on('message', async ({ id, task }) => {
+    try {
+        const result = await processFile(task, (data) => {
+            parentPort.postMessage({ id, type: 'progress', data });
+        });
+        parentPort.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        parentPort.postMessage({ id, type: 'error', message: error.message });
+    }
+});
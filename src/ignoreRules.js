@@ -0,0 +1,267 @@
+// ignoreRules.js
+// Include/exclude rules for package preparation (gitignore-style patterns)
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Rules file looked up in the root of the source directory
+const IGNORE_FILE_NAME = '.uploaderignore';
+
+// Files the launcher manages itself - never part of a package
+const BUILT_IN_PATTERNS = [
+    'manifest_*.txt',
+    'version.json',
+    'roleplayai_launcher.exe',
+    'roleplayai.txt',
+    IGNORE_FILE_NAME
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Convert a gitignore glob (without leading '!' or trailing '/') to a regular expression body
+ * '*' and '?' never match '/', '**' matches across directories, '[...]' is a character class
+ */
+function globToRegExpSource(glob) {
+    let source = '';
+    let i = 0;
+    
+    while (i < glob.length) {
+        const char = glob[i];
+        
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                const atSegmentStart = i === 0 || glob[i - 1] === '/';
+                const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+                
+                if (atSegmentStart && atSegmentEnd) {
+                    if (i + 2 === glob.length) {
+                        // Trailing '/**' - everything inside
+                        source += '.*';
+                        i += 2;
+                    } else {
+                        // Leading or middle '**/' - zero or more directories
+                        source += '(?:.*/)?';
+                        i += 3;
+                    }
+                    continue;
+                }
+                
+                // '**' inside a name behaves like '*'
+                source += '[^/]*';
+                i += 2;
+                continue;
+            }
+            
+            source += '[^/]*';
+            i++;
+        } else if (char === '?') {
+            source += '[^/]';
+            i++;
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                i++;
+                continue;
+            }
+            
+            let content = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (content[0] === '!') {
+                content = '^' + content.slice(1);
+            }
+            source += `[${content}]`;
+            i = end + 1;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[i + 1]);
+            i += 2;
+        } else {
+            source += escapeRegExp(char);
+            i++;
+        }
+    }
+    
+    return source;
+}
+
+/**
+ * Parse one rule line
+ * Returns null for blank lines and comments
+ */
+function parseRule(line, source, lineNumber) {
+    // Trailing whitespace is ignored unless escaped
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    
+    if (pattern === '' || pattern.startsWith('#')) {
+        return null;
+    }
+    
+    let negated = false;
+    if (pattern.startsWith('!')) {
+        negated = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+        pattern = pattern.slice(1);
+    }
+    
+    let dirOnly = false;
+    if (pattern.endsWith('/')) {
+        dirOnly = true;
+        pattern = pattern.replace(/\/+$/, '');
+    }
+    
+    if (pattern === '') {
+        return null;
+    }
+    
+    // A slash at the start or in the middle anchors the pattern to the source directory,
+    // otherwise it matches a name at any depth
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) {
+        pattern = pattern.slice(1);
+    }
+    
+    const body = globToRegExpSource(pattern);
+    
+    return {
+        pattern: line.trim(),
+        negated,
+        dirOnly,
+        // Packages are built on Windows, so names are compared case-insensitively
+        regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`, 'i'),
+        source,
+        line: lineNumber
+    };
+}
+
+/**
+ * Parse the contents of a rules file
+ * source is a label shown in the preview (e.g. '.uploaderignore')
+ */
+function parseRules(text, source) {
+    const rules = [];
+    const lines = text.split(/\r?\n/);
+    
+    for (let i = 0; i < lines.length; i++) {
+        const rule = parseRule(lines[i], source, i + 1);
+        if (rule) {
+            rules.push(rule);
+        }
+    }
+    
+    return rules;
+}
+
+/**
+ * Rules that replace the old hard-coded filters
+ * filters: { excludePdb, excludeSaved } from the Package Preparation tab
+ */
+function getBuiltInRules(filters = {}) {
+    const patterns = [];
+    
+    if (filters.excludePdb) {
+        patterns.push('*.pdb');
+    }
+    if (filters.excludeSaved) {
+        patterns.push('Saved/');
+    }
+    patterns.push(...BUILT_IN_PATTERNS);
+    
+    return parseRules(patterns.join('\n'), 'built-in');
+}
+
+/**
+ * Ordered rule set - like gitignore, the last matching rule wins and
+ * files inside an excluded directory cannot be re-included
+ */
+class IgnoreRules {
+    constructor(rules = []) {
+        this.rules = rules;
+    }
+    
+    /**
+     * Last rule matching a path, or null
+     */
+    findRule(relativePath, isDirectory) {
+        for (let i = this.rules.length - 1; i >= 0; i--) {
+            const rule = this.rules[i];
+            if ((!rule.dirOnly || isDirectory) && rule.regex.test(relativePath)) {
+                return rule;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Match a file path (relative to the source directory)
+     * Returns { excluded, rule } where rule is the rule that decided, or null
+     */
+    match(relativePath) {
+        const normalizedPath = relativePath.replace(/\\/g, '/');
+        const parts = normalizedPath.split('/');
+        
+        // Parent directories first
+        for (let i = 1; i < parts.length; i++) {
+            const rule = this.findRule(parts.slice(0, i).join('/'), true);
+            if (rule && !rule.negated) {
+                return { excluded: true, rule };
+            }
+        }
+        
+        const rule = this.findRule(normalizedPath, false);
+        return { excluded: rule !== null && !rule.negated, rule };
+    }
+    
+    isExcluded(relativePath) {
+        return this.match(relativePath).excluded;
+    }
+}
+
+/**
+ * Read a rules file, returning null if it does not exist
+ */
+async function readRulesFile(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Load the rules for a source directory
+ * Order (later rules win): built-in rules, .uploaderignore in the source directory, rules profile
+ */
+async function loadIgnoreRules(sourceDir, options = {}) {
+    const { filters = {}, rulesProfilePath = null } = options;
+    
+    const rules = getBuiltInRules(filters);
+    
+    const ignoreFileText = await readRulesFile(path.join(sourceDir, IGNORE_FILE_NAME));
+    if (ignoreFileText !== null) {
+        rules.push(...parseRules(ignoreFileText, IGNORE_FILE_NAME));
+    }
+    
+    if (rulesProfilePath) {
+        const profileText = await readRulesFile(rulesProfilePath);
+        if (profileText === null) {
+            throw new Error(`Rules profile not found: ${rulesProfilePath}`);
+        }
+        rules.push(...parseRules(profileText, path.basename(rulesProfilePath)));
+    }
+    
+    return new IgnoreRules(rules);
+}
+
+module.exports = {
+    IgnoreRules,
+    IGNORE_FILE_NAME,
+    parseRules,
+    getBuiltInRules,
+    loadIgnoreRules
+};
@@ -174,6 +174,8 @@ function createChunkManifest(version, files) {
                 hash: chunk.hash,
                 size: chunk.size,
                 offset: chunk.offset,
+                // Only present for compressed chunks (see chunkManager CHUNK_COMPRESSION)
+                ...(chunk.compression ? { compression: chunk.compression, compressedSize: chunk.compressedSize } : {}),
                 url: chunk.url
             }))
         }))
@@ -2,37 +2,29 @@
 // Package preparation logic for generating chunk-based manifests
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
-const { ChunkManager } = require('./chunkManager');
+const { ChunkManager, isCompressionSupported } = require('./chunkManager');
 const { createChunkManifest } = require('./manifestUtils');
+const { WorkerPool } = require('./workerPool');
+const { IgnoreRules, getBuiltInRules, loadIgnoreRules } = require('./ignoreRules');
+
+// Worker scripts cannot be loaded from inside app.asar, so they are unpacked (see asarUnpack)
+const CHUNK_WORKER_PATH = path.join(__dirname, 'chunkWorker.js').replace(/app\.asar(?!\.unpacked)/, 'app.asar.unpacked');
+
+/**
+ * Default number of chunking worker threads (leave one core for the UI)
+ */
+function getDefaultWorkerCount() {
+    return Math.max(1, Math.min(os.cpus().length - 1, 8));
+}
 
 /**
- * Filter out non-essential files (same as launcher)
+ * Filter out non-essential files using the built-in rules only (same as launcher)
+ * Package preparation also applies .uploaderignore and rules profiles, see loadIgnoreRules
  */
 function shouldIncludeFile(relativePath, filters = {}) {
-    const fileName = path.basename(relativePath);
-    const pathString = relativePath.toLowerCase();
-    const fileExt = path.extname(fileName).toLowerCase();
-    
-    // Exclude Saved folders
-    if (filters.excludeSaved) {
-        if (pathString.includes('saved/') || pathString.includes('saved\\')) {
-            return false;
-        }
-    }
-    
-    // Exclude .pdb files
-    if (filters.excludePdb && fileExt === '.pdb') {
-        return false;
-    }
-    
-    // Exclude manifest files
-    const isManifest = fileName.toLowerCase().startsWith('manifest_') && fileName.toLowerCase().endsWith('.txt');
-    const isVersionJson = fileName.toLowerCase() === 'version.json';
-    const isLauncher = fileName.toLowerCase() === 'roleplayai_launcher.exe';
-    const isVrClassroomTxt = fileName.toLowerCase() === 'roleplayai.txt';
-    
-    return !(isManifest || isVersionJson || isLauncher || isVrClassroomTxt);
+    return !new IgnoreRules(getBuiltInRules(filters)).isExcluded(relativePath);
 }
 
 /**
@@ -60,8 +52,129 @@ async function getAllFiles(dir) {
     return files;
 }
 
+/**
+ * Path of the stat cache written next to a generated manifest
+ */
+function getStatCachePath(dir, buildType) {
+    return path.join(dir, `stat_cache_${buildType}.json`);
+}
+
+/**
+ * Stat cache entry for a file - a file is treated as unchanged while all three match
+ */
+function getStatKey(stats) {
+    return {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        ino: stats.ino
+    };
+}
+
+function isSameStat(cached, stats) {
+    return cached.size === stats.size &&
+        cached.mtimeMs === stats.mtimeMs &&
+        cached.ino === stats.ino;
+}
+
+/**
+ * Load reusable files from a previous manifest and its stat cache
+ * Only usable when both were produced by the same chunker with the same chunk sizes and compression
+ * Returns Map<filename, { stat, chunks }> (empty if nothing can be reused)
+ */
+async function loadPreviousFiles(previousManifestPath, statCachePath, expected) {
+    const previousFiles = new Map();
+    
+    const manifest = JSON.parse(await fs.readFile(previousManifestPath, 'utf-8'));
+    
+    let statCache;
+    try {
+        statCache = JSON.parse(await fs.readFile(statCachePath, 'utf-8'));
+    } catch (error) {
+        console.warn(`Stat cache not available (${statCachePath}), all files will be re-chunked:`, error.message);
+        return previousFiles;
+    }
+    
+    if (statCache.version !== manifest.version || statCache.buildType !== manifest.buildType) {
+        console.warn(`Stat cache ${statCachePath} does not belong to manifest ${previousManifestPath}, all files will be re-chunked`);
+        return previousFiles;
+    }
+    
+    // Chunk boundaries depend on the chunker and the chunk sizes
+    const sameChunker = manifest.chunkerVersion === expected.chunkerVersion &&
+        statCache.chunkerVersion === expected.chunkerVersion &&
+        statCache.chunkSizes &&
+        statCache.chunkSizes.min === expected.chunkSizes.min &&
+        statCache.chunkSizes.avg === expected.chunkSizes.avg &&
+        statCache.chunkSizes.max === expected.chunkSizes.max;
+    
+    if (!sameChunker) {
+        console.warn('Previous manifest was chunked with a different chunker or chunk sizes, all files will be re-chunked');
+        return previousFiles;
+    }
+    
+    // Stored chunks are compressed (or not) according to the previous run's setting
+    if ((statCache.compression || null) !== expected.compression) {
+        console.warn('Previous manifest used a different chunk compression, all files will be re-chunked');
+        return previousFiles;
+    }
+    
+    for (const file of manifest.files) {
+        const stat = statCache.files[file.filename];
+        if (stat) {
+            previousFiles.set(file.filename, {
+                stat,
+                chunks: file.chunks.map(chunk => ({
+                    hash: chunk.hash,
+                    size: chunk.size,
+                    offset: chunk.offset,
+                    ...(chunk.compression ? { compression: chunk.compression, compressedSize: chunk.compressedSize } : {})
+                }))
+            });
+        }
+    }
+    
+    return previousFiles;
+}
+
+/**
+ * Make sure all chunks of a reused file exist in the chunk store
+ * Missing chunks are copied from the previous output's chunks directory
+ * Returns false if any chunk is unavailable (the file then has to be re-chunked)
+ */
+async function ensureChunksAvailable(chunks, chunkManager, previousChunksDir) {
+    for (const chunk of chunks) {
+        if (await chunkManager.hasChunk(chunk.hash)) {
+            continue;
+        }
+        
+        if (!previousChunksDir) {
+            return false;
+        }
+        
+        try {
+            const source = path.join(previousChunksDir, chunk.hash.substring(0, 2), chunk.hash);
+            const target = chunkManager.getChunkPath(chunk.hash);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.copyFile(source, target);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
 /**
  * Generate chunk-based manifest from source directory
+ * 
+ * Incremental mode: pass previousManifestPath (and optionally statCachePath,
+ * defaults to the stat cache next to the previous manifest). Files whose size,
+ * mtime and inode are unchanged reuse their previous chunk list without being read.
+ * 
+ * Compression: chunks are compressed with the chosen algorithm when that saves space,
+ * recorded per chunk as compression/compressedSize in the manifest.
+ * 
+ * Throws (with error.failedFiles: [{ filename, error }]) if any file could not be processed.
  */
 async function generateManifest(options, onProgress = null) {
     const {
@@ -77,7 +190,12 @@ async function generateManifest(options, onProgress = null) {
         filters = {
             excludePdb: true,
             excludeSaved: true
-        }
+        },
+        workerCount = getDefaultWorkerCount(),
+        compression = null, // null, 'gzip', 'brotli' or 'zstd'
+        rulesProfilePath = null,
+        previousManifestPath = null,
+        statCachePath = null
     } = options;
     
     // Validate inputs
@@ -90,6 +208,11 @@ async function generateManifest(options, onProgress = null) {
         throw new Error('Invalid buildType. Must be "production" or "staging"');
     }
     
+    // Validate compression
+    if (compression && !isCompressionSupported(compression)) {
+        throw new Error(`Unsupported chunk compression "${compression}". Must be one of: gzip, brotli${isCompressionSupported('zstd') ? ', zstd' : ''}`);
+    }
+    
     // Check if source directory exists
     try {
         await fs.access(sourceDir);
@@ -120,9 +243,10 @@ async function generateManifest(options, onProgress = null) {
         onProgress({ percentage: 0, message: 'Scanning files...' });
     }
     
+    const ignoreRules = await loadIgnoreRules(sourceDir, { filters, rulesProfilePath });
     const allFiles = await getAllFiles(sourceDir);
     const filesToProcess = allFiles.filter(({ relativePath }) => 
-        shouldIncludeFile(relativePath, filters)
+        !ignoreRules.isExcluded(relativePath)
     );
     
     if (filesToProcess.length === 0) {
@@ -133,65 +257,144 @@ async function generateManifest(options, onProgress = null) {
         onProgress({ percentage: 5, message: `Found ${filesToProcess.length} files to process` });
     }
     
-    // Process each file
-    const processedFiles = [];
-    let totalChunks = 0;
-    let totalSize = 0;
-    const uniqueChunks = new Set();
+    // Get file stats up front for byte-based progress and the stat cache
+    const fileStats = await Promise.all(filesToProcess.map(({ fullPath }) =>
+        fs.stat(fullPath).catch(() => null)
+    ));
+    const totalBytes = fileStats.reduce((sum, stats) => sum + (stats ? stats.size : 0), 0);
     
-    for (let i = 0; i < filesToProcess.length; i++) {
-        const { fullPath, relativePath } = filesToProcess[i];
+    // Load previous chunk lists for incremental generation
+    let previousFiles = new Map();
+    let previousChunksDir = null;
+    if (previousManifestPath) {
+        if (onProgress) {
+            onProgress({ percentage: 5, message: 'Loading previous manifest and stat cache...' });
+        }
         
-        try {
-            const stats = await fs.stat(fullPath);
-            const fileSize = stats.size;
-            
-            if (onProgress) {
-                const percentage = 5 + ((i / filesToProcess.length) * 85);
-                onProgress({ 
-                    percentage, 
-                    message: `Processing ${relativePath} (${(fileSize / 1024 / 1024).toFixed(2)} MB)` 
-                });
-            }
-            
-            // Chunk the file
-            const chunks = await chunkManager.fastCDC.chunkFile(fullPath);
-            
-            // Process chunks
-            const fileChunks = [];
-            let offset = 0;
+        const previousDir = path.dirname(previousManifestPath);
+        previousFiles = await loadPreviousFiles(
+            previousManifestPath,
+            statCachePath || getStatCachePath(previousDir, buildType),
+            { chunkerVersion: chunkManager.fastCDC.version, chunkSizes, compression: compression || null }
+        );
+        previousChunksDir = path.join(previousDir, 'chunks');
+    }
+    
+    // Process files concurrently on worker threads so the main process stays responsive
+    const pool = new WorkerPool(CHUNK_WORKER_PATH, Math.min(Math.max(1, workerCount || 1), filesToProcess.length), {
+        chunksDir,
+        fastCDCOptions: {
+            minSize: chunkSizes.min,
+            avgSize: chunkSizes.avg,
+            maxSize: chunkSizes.max
+        },
+        compression: compression || null
+    });
+    pool.start();
+    
+    let filesDone = 0;
+    let bytesProcessed = 0;
+    let reusedFiles = 0;
+    
+    const reportProgress = (message) => {
+        if (onProgress) {
+            const fraction = totalBytes > 0 ? bytesProcessed / totalBytes : filesDone / filesToProcess.length;
+            onProgress({ 
+                percentage: 5 + (fraction * 85), 
+                message: `${message} (${filesDone}/${filesToProcess.length} files, ${(bytesProcessed / 1024 / 1024).toFixed(2)} / ${(totalBytes / 1024 / 1024).toFixed(2)} MB)` 
+            });
+        }
+    };
+    
+    const failedFiles = []; // { filename, error } of files that could not be chunked
+    let results;
+    try {
+        results = await Promise.all(filesToProcess.map(async ({ fullPath, relativePath }, i) => {
+            const filename = relativePath.replace(/\\/g, '/');
+            const stats = fileStats[i];
             
-            for (const chunk of chunks) {
-                // Store chunk (deduplication happens automatically)
-                if (!uniqueChunks.has(chunk.hash)) {
-                    await chunkManager.storeChunk(chunk.hash, chunk.data);
-                    uniqueChunks.add(chunk.hash);
+            try {
+                if (stats === null) {
+                    throw new Error(`Cannot read file stats: ${fullPath}`);
                 }
                 
-                // Create chunk entry for manifest
-                // URL will be set later based on R2 bucket structure
-                fileChunks.push({
-                    hash: chunk.hash,
-                    size: chunk.size,
-                    offset: offset
+                // Unchanged since the previous manifest - reuse its chunk list
+                const previous = previousFiles.get(filename);
+                if (previous && isSameStat(previous.stat, stats) &&
+                    await ensureChunksAvailable(previous.chunks, chunkManager, previousChunksDir)) {
+                    reusedFiles++;
+                    filesDone++;
+                    bytesProcessed += stats.size;
+                    reportProgress(`Unchanged ${relativePath}`);
+                    
+                    return {
+                        filename,
+                        totalSize: stats.size,
+                        chunks: previous.chunks,
+                        stat: getStatKey(stats)
+                    };
+                }
+                
+                const result = await pool.run({ fullPath }, (progress) => {
+                    bytesProcessed += progress.bytes;
+                    reportProgress(`Processing ${relativePath}`);
                 });
                 
-                offset += chunk.size;
+                filesDone++;
+                reportProgress(`Processed ${relativePath}`);
+                
+                return {
+                    filename,
+                    totalSize: stats.size,
+                    chunks: result.chunks,
+                    stat: getStatKey(stats)
+                };
+            } catch (error) {
+                console.error(`Error processing file ${relativePath}:`, error);
+                failedFiles.push({ filename, error: error.message });
+                filesDone++;
+                // Continue with other files so all failures are reported
+                return null;
+            }
+        }));
+    } finally {
+        await pool.destroy();
+    }
+    
+    // A manifest without some of the files would publish a broken build - write nothing
+    if (failedFiles.length > 0) {
+        const listed = failedFiles.slice(0, 5).map(failure => `${failure.filename} (${failure.error})`).join(', ');
+        const more = failedFiles.length > 5 ? ` and ${failedFiles.length - 5} more` : '';
+        const error = new Error(`${failedFiles.length} of ${filesToProcess.length} files could not be processed, no manifest was written: ${listed}${more}`);
+        error.failedFiles = failedFiles;
+        throw error;
+    }
+    
+    // Merge results in sorted filename order so the manifest is deterministic
+    const processedFiles = results
+        .filter(Boolean)
+        .sort((a, b) => (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0));
+    
+    let totalChunks = 0;
+    let totalSize = 0;
+    let uniqueSize = 0;
+    let storedSize = 0;
+    let compressedChunks = 0;
+    const uniqueChunks = new Set();
+    
+    for (const file of processedFiles) {
+        for (const chunk of file.chunks) {
+            if (!uniqueChunks.has(chunk.hash)) {
+                uniqueChunks.add(chunk.hash);
+                uniqueSize += chunk.size;
+                storedSize += chunk.compression ? chunk.compressedSize : chunk.size;
+                if (chunk.compression) {
+                    compressedChunks++;
+                }
             }
-            
-            processedFiles.push({
-                filename: relativePath.replace(/\\/g, '/'),
-                totalSize: fileSize,
-                chunks: fileChunks
-            });
-            
-            totalChunks += chunks.length;
-            totalSize += fileSize;
-            
-        } catch (error) {
-            console.error(`Error processing file ${relativePath}:`, error);
-            // Continue with other files
         }
+        totalChunks += file.chunks.length;
+        totalSize += file.totalSize;
     }
     
     // Create manifest
@@ -204,6 +407,9 @@ async function generateManifest(options, onProgress = null) {
     // Add build type to manifest
     manifest.buildType = buildType;
     
+    // Record which chunking algorithm produced the boundaries (used by the launcher)
+    manifest.chunkerVersion = chunkManager.fastCDC.version;
+    
     // Save manifest with build type in filename
     const manifestPath = path.join(outputDir, `manifest_${buildType}_${version}.json`);
     await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
@@ -212,6 +418,21 @@ async function generateManifest(options, onProgress = null) {
     const versionPath = path.join(outputDir, 'version.json');
     await fs.writeFile(versionPath, JSON.stringify({ version }, null, 2), 'utf-8');
     
+    // Save stat cache so the next run can be incremental
+    const newStatCachePath = getStatCachePath(outputDir, buildType);
+    const statCache = {
+        version,
+        buildType,
+        chunkerVersion: manifest.chunkerVersion,
+        chunkSizes: { min: chunkSizes.min, avg: chunkSizes.avg, max: chunkSizes.max },
+        compression: compression || null,
+        files: {}
+    };
+    for (const file of processedFiles) {
+        statCache.files[file.filename] = file.stat;
+    }
+    await fs.writeFile(newStatCachePath, JSON.stringify(statCache), 'utf-8');
+    
     if (onProgress) {
         onProgress({ percentage: 100, message: 'Manifest generation complete!' });
     }
@@ -220,20 +441,88 @@ async function generateManifest(options, onProgress = null) {
         success: true,
         manifestPath,
         versionPath,
+        statCachePath: newStatCachePath,
         chunksDir,
         buildType,
         stats: {
             filesProcessed: processedFiles.length,
+            reusedFiles,
+            chunkedFiles: processedFiles.length - reusedFiles,
             totalChunks,
             uniqueChunks: uniqueChunks.size,
             totalSize,
+            uniqueSize,
+            storedSize,
+            compressedChunks,
+            compressionRatio: uniqueSize > 0 ? (storedSize / uniqueSize).toFixed(2) : 0,
             deduplicationRatio: totalChunks > 0 ? (uniqueChunks.size / totalChunks).toFixed(2) : 0
         }
     };
 }
 
+/**
+ * Preview which files the include/exclude rules remove from a source directory
+ * Every file is attributed to the rule that decided it (the last matching one)
+ */
+async function previewIgnoreRules(options) {
+    const {
+        sourceDir,
+        filters = {
+            excludePdb: true,
+            excludeSaved: true
+        },
+        rulesProfilePath = null
+    } = options;
+    
+    if (!sourceDir) {
+        throw new Error('Missing required option: sourceDir');
+    }
+    
+    const ignoreRules = await loadIgnoreRules(sourceDir, { filters, rulesProfilePath });
+    const allFiles = await getAllFiles(sourceDir);
+    
+    const ruleResults = new Map(ignoreRules.rules.map(rule => [rule, {
+        source: rule.source,
+        line: rule.line,
+        pattern: rule.pattern,
+        negated: rule.negated,
+        fileCount: 0,
+        totalSize: 0,
+        files: []
+    }]));
+    
+    const included = { fileCount: 0, totalSize: 0 };
+    const excluded = { fileCount: 0, totalSize: 0 };
+    
+    for (const { fullPath, relativePath } of allFiles) {
+        const stats = await fs.stat(fullPath).catch(() => null);
+        const size = stats ? stats.size : 0;
+        const { excluded: isExcluded, rule } = ignoreRules.match(relativePath);
+        
+        const totals = isExcluded ? excluded : included;
+        totals.fileCount++;
+        totals.totalSize += size;
+        
+        // Negated rules list the files they re-included
+        if (rule) {
+            const ruleResult = ruleResults.get(rule);
+            ruleResult.fileCount++;
+            ruleResult.totalSize += size;
+            ruleResult.files.push({ path: relativePath.replace(/\\/g, '/'), size });
+        }
+    }
+    
+    return {
+        rules: Array.from(ruleResults.values()),
+        included,
+        excluded
+    };
+}
+
 module.exports = {
     generateManifest,
+    previewIgnoreRules,
+    getDefaultWorkerCount,
     shouldIncludeFile,
     getAllFiles
 };
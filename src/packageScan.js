@@ -0,0 +1,235 @@
+// packageScan.js
+// Dry-run scan of a package source directory (no chunks are written)
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { FastCDC } = require('./chunkManager');
+const { loadIgnoreRules } = require('./ignoreRules');
+const { getAllFiles, getDefaultWorkerCount } = require('./packagePrep');
+
+// Number of largest files listed in the report
+const LARGEST_FILES_COUNT = 20;
+
+// Size of the in-memory sample used to measure chunking throughput
+const CALIBRATION_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Estimated chunk count of a file
+ * Normalized chunking keeps chunk sizes close to the average, files up to minSize are one chunk
+ */
+function estimateChunkCount(size, chunkSizes) {
+    if (size === 0) {
+        return 0;
+    }
+    if (size <= chunkSizes.min) {
+        return 1;
+    }
+    return Math.max(1, Math.round(size / chunkSizes.avg));
+}
+
+/**
+ * Measure single-thread chunking throughput (boundary search + SHA256) in MB/s
+ * Disk read speed is not included, so the time estimate is a lower bound for slow disks
+ */
+function measureChunkingThroughput(chunkSizes) {
+    const fastCDC = new FastCDC({
+        minSize: chunkSizes.min,
+        avgSize: chunkSizes.avg,
+        maxSize: chunkSizes.max
+    });
+    const sample = crypto.randomBytes(CALIBRATION_SIZE);
+    const state = fastCDC.createState();
+    
+    const start = process.hrtime.bigint();
+    
+    let position = 0;
+    while (position < sample.length) {
+        const boundary = fastCDC.findBoundary(sample, position, sample.length, state);
+        if (boundary === -1) break;
+        position = boundary;
+    }
+    crypto.createHash('sha256').update(sample).digest();
+    
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return (CALIBRATION_SIZE / 1024 / 1024) / Math.max(seconds, 1e-6);
+}
+
+/**
+ * Walk the source directory, apply the include/exclude rules and report
+ * file count, size, largest files, per-extension breakdown and a chunk/time estimate
+ */
+async function scanPackage(options, onProgress = null) {
+    const {
+        sourceDir,
+        chunkSizes = {
+            min: 5 * 1024 * 1024,   // 5MB
+            avg: 10 * 1024 * 1024,  // 10MB
+            max: 20 * 1024 * 1024   // 20MB
+        },
+        filters = {
+            excludePdb: true,
+            excludeSaved: true
+        },
+        rulesProfilePath = null,
+        workerCount = getDefaultWorkerCount()
+    } = options;
+    
+    if (!sourceDir) {
+        throw new Error('Missing required option: sourceDir');
+    }
+    
+    try {
+        await fs.access(sourceDir);
+    } catch (error) {
+        throw new Error(`Source directory not found: ${sourceDir}`);
+    }
+    
+    if (onProgress) {
+        onProgress({ percentage: 0, message: 'Scanning files...' });
+    }
+    
+    const ignoreRules = await loadIgnoreRules(sourceDir, { filters, rulesProfilePath });
+    const allFiles = await getAllFiles(sourceDir);
+    
+    const includedFiles = [];
+    const excluded = { fileCount: 0, totalSize: 0 };
+    
+    for (let i = 0; i < allFiles.length; i++) {
+        const { fullPath, relativePath } = allFiles[i];
+        const stats = await fs.stat(fullPath).catch(() => null);
+        const size = stats ? stats.size : 0;
+        
+        if (ignoreRules.isExcluded(relativePath)) {
+            excluded.fileCount++;
+            excluded.totalSize += size;
+        } else {
+            includedFiles.push({
+                path: relativePath.replace(/\\/g, '/'),
+                size,
+                estimatedChunks: estimateChunkCount(size, chunkSizes)
+            });
+        }
+        
+        if (onProgress && (i % 500 === 0 || i === allFiles.length - 1)) {
+            onProgress({
+                percentage: ((i + 1) / allFiles.length) * 90,
+                message: `Scanned ${i + 1}/${allFiles.length} files`
+            });
+        }
+    }
+    
+    // Per-extension breakdown, largest first
+    const extensionMap = new Map();
+    for (const file of includedFiles) {
+        const extension = path.extname(file.path).toLowerCase() || '(none)';
+        const entry = extensionMap.get(extension) || { extension, fileCount: 0, totalSize: 0, estimatedChunks: 0 };
+        entry.fileCount++;
+        entry.totalSize += file.size;
+        entry.estimatedChunks += file.estimatedChunks;
+        extensionMap.set(extension, entry);
+    }
+    const extensions = Array.from(extensionMap.values()).sort((a, b) => b.totalSize - a.totalSize);
+    
+    const largestFiles = [...includedFiles]
+        .sort((a, b) => b.size - a.size)
+        .slice(0, LARGEST_FILES_COUNT);
+    
+    const totalSize = includedFiles.reduce((sum, file) => sum + file.size, 0);
+    const estimatedChunks = includedFiles.reduce((sum, file) => sum + file.estimatedChunks, 0);
+    
+    if (onProgress) {
+        onProgress({ percentage: 90, message: 'Measuring chunking speed...' });
+    }
+    
+    // Files are chunked in parallel, one file per worker
+    const workerThroughput = measureChunkingThroughput(chunkSizes);
+    const parallelism = Math.max(1, Math.min(workerCount || 1, includedFiles.length));
+    const throughputMBps = workerThroughput * parallelism;
+    
+    if (onProgress) {
+        onProgress({ percentage: 100, message: 'Scan complete!' });
+    }
+    
+    return {
+        sourceDir,
+        scannedAt: new Date().toISOString(),
+        chunkSizes: { min: chunkSizes.min, avg: chunkSizes.avg, max: chunkSizes.max },
+        included: {
+            fileCount: includedFiles.length,
+            totalSize
+        },
+        excluded,
+        largestFiles,
+        extensions,
+        estimate: {
+            chunks: estimatedChunks,
+            workers: parallelism,
+            throughputMBps: Number(throughputMBps.toFixed(1)),
+            seconds: Math.ceil((totalSize / 1024 / 1024) / throughputMBps)
+        }
+    };
+}
+
+function escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text of rows (arrays of values, the first row is the header)
+ */
+function rowsToCsv(rows) {
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write a report as JSON or CSV (chosen by the file extension)
+ * toCsv is only called for .csv files, json is written otherwise
+ */
+async function writeReportFile(filePath, toCsv, json) {
+    const content = path.extname(filePath).toLowerCase() === '.csv'
+        ? toCsv()
+        : JSON.stringify(json, null, 2);
+    await fs.writeFile(filePath, content, 'utf-8');
+    return filePath;
+}
+
+/**
+ * Convert a scan report to CSV
+ * One row per summary line, extension and largest file
+ */
+function scanReportToCsv(report) {
+    const secondsFor = (bytes) => Math.ceil((bytes / 1024 / 1024) / report.estimate.throughputMBps);
+    
+    const rows = [['section', 'name', 'files', 'bytes', 'estimated_chunks', 'estimated_seconds']];
+    
+    rows.push(['summary', 'included', report.included.fileCount, report.included.totalSize, report.estimate.chunks, report.estimate.seconds]);
+    rows.push(['summary', 'excluded', report.excluded.fileCount, report.excluded.totalSize, '', '']);
+    
+    for (const entry of report.extensions) {
+        rows.push(['extension', entry.extension, entry.fileCount, entry.totalSize, entry.estimatedChunks, secondsFor(entry.totalSize)]);
+    }
+    
+    for (const file of report.largestFiles) {
+        rows.push(['largest_file', file.path, 1, file.size, file.estimatedChunks, secondsFor(file.size)]);
+    }
+    
+    return rowsToCsv(rows);
+}
+
+/**
+ * Write a scan report as JSON or CSV (chosen by the file extension)
+ */
+async function exportScanReport(report, filePath) {
+    return writeReportFile(filePath, () => scanReportToCsv(report), report);
+}
+
+module.exports = {
+    scanPackage,
+    scanReportToCsv,
+    exportScanReport,
+    estimateChunkCount,
+    rowsToCsv,
+    writeReportFile
+};
@@ -0,0 +1,259 @@
+// profileStore.js
+// Named R2 profiles (bucket/environment), saved with electron-store (keys encrypted through the OS keychain with safeStorage)
+// Replaces credentialStore.js (one saved configuration per build type) - it uses the same settings file
+// and turns the saved configurations into profiles on first open
+
+const crypto = require('crypto');
+
+// Settings file in the userData directory (the one credentialStore.js used)
+const STORE_NAME = 'r2-config';
+
+const BUILD_TYPES = ['production', 'staging'];
+
+// Fields encrypted with safeStorage (stored as base64), never exported
+const SECRET_FIELDS = ['accessKeyId', 'secretAccessKey'];
+
+// Fields that are stored as plain text and exported
+const PROFILE_FIELDS = ['name', 'buildType', 'endpoint', 'bucket', 'keyPrefix', 'publicBaseUrl'];
+
+// Identifies profile export files
+const EXPORT_FORMAT = 'roleplayai-r2-profiles';
+
+const DEFAULT_ENDPOINT = 'https://d9f8ae13b4516b91e13fe7a672fe51b9.r2.cloudflarestorage.com';
+const DEFAULT_BUCKET = 'vrcentre-roleplay-ai-bucket';
+
+// Created on first start (without keys)
+const DEFAULT_PROFILES = [
+    { name: 'Production', buildType: 'production', endpoint: DEFAULT_ENDPOINT, bucket: DEFAULT_BUCKET, keyPrefix: '', publicBaseUrl: '' },
+    { name: 'Staging', buildType: 'staging', endpoint: DEFAULT_ENDPOINT, bucket: DEFAULT_BUCKET, keyPrefix: '', publicBaseUrl: '' }
+];
+
+function createProfileId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Trimmed plain-text fields of a profile, validated
+ */
+function cleanProfileFields(input) {
+    const fields = {};
+    for (const field of PROFILE_FIELDS) {
+        fields[field] = typeof input[field] === 'string' ? input[field].trim() : '';
+    }
+    fields.buildType = fields.buildType || 'production';
+    fields.keyPrefix = fields.keyPrefix.replace(/^\/+|\/+$/g, '');
+    fields.publicBaseUrl = fields.publicBaseUrl.replace(/\/+$/, '');
+    
+    if (!fields.name) {
+        throw new Error('Profile name is required');
+    }
+    if (!BUILD_TYPES.includes(fields.buildType)) {
+        throw new Error(`Unknown build type: ${fields.buildType}`);
+    }
+    if (!fields.endpoint || !fields.bucket) {
+        throw new Error(`Profile "${fields.name}" needs an endpoint and a bucket`);
+    }
+    if (fields.publicBaseUrl && !/^https?:\/\//i.test(fields.publicBaseUrl)) {
+        throw new Error(`Public base URL of "${fields.name}" must start with http:// or https://`);
+    }
+    
+    return fields;
+}
+
+/**
+ * R2 profiles - every R2 operation runs against the selected profile
+ * Profiles are kept as { id, name, buildType, endpoint, bucket, keyPrefix, publicBaseUrl, accessKeyId?, secretAccessKey?, updatedAt }
+ * with the keys encrypted
+ */
+class ProfileStore {
+    constructor(store, safeStorage) {
+        this.store = store;
+        this.safeStorage = safeStorage;
+        this.migrate();
+    }
+    
+    /**
+     * Open the store in the main process (after the app is ready - safeStorage needs it)
+     */
+    static async open() {
+        // electron-store is an ES module
+        const { default: Store } = await import('electron-store');
+        const { safeStorage } = require('electron');
+        return new ProfileStore(new Store({ name: STORE_NAME }), safeStorage);
+    }
+    
+    /**
+     * Create the default profiles on first start, and turn the credentialStore.js layout
+     * (one configuration per build type: { profiles: { production: {...}, staging: {...} } }) into named profiles
+     */
+    migrate() {
+        const stored = this.store.get('profiles');
+        if (Array.isArray(stored)) {
+            return;
+        }
+        
+        const profiles = stored
+            ? Object.entries(stored).map(([buildType, config]) => ({
+                ...config,
+                id: createProfileId(),
+                name: buildType === 'production' ? 'Production' : 'Staging',
+                buildType,
+                keyPrefix: '',
+                publicBaseUrl: ''
+            }))
+            : DEFAULT_PROFILES.map(profile => ({ ...profile, id: createProfileId(), updatedAt: new Date().toISOString() }));
+        
+        this.store.set('profiles', profiles);
+        this.store.set('activeProfileId', profiles.length > 0 ? profiles[0].id : null);
+    }
+    
+    getProfiles() {
+        return this.store.get('profiles', []);
+    }
+    
+    findProfile(id) {
+        const profile = this.getProfiles().find(entry => entry.id === id);
+        if (!profile) {
+            throw new Error(`R2 profile not found: ${id}`);
+        }
+        return profile;
+    }
+    
+    /**
+     * Profile without its keys (safe to send to the renderer) - hasKeys tells whether keys are saved
+     */
+    describe(profile) {
+        const summary = { id: profile.id, updatedAt: profile.updatedAt || null };
+        for (const field of PROFILE_FIELDS) {
+            summary[field] = profile[field] || '';
+        }
+        summary.hasKeys = SECRET_FIELDS.every(field => Boolean(profile[field]));
+        return summary;
+    }
+    
+    /**
+     * All profiles (without keys) and the selected one
+     */
+    list() {
+        const profiles = this.getProfiles();
+        let activeProfileId = this.store.get('activeProfileId', null);
+        if (!profiles.some(profile => profile.id === activeProfileId)) {
+            activeProfileId = profiles.length > 0 ? profiles[0].id : null;
+        }
+        return { profiles: profiles.map(profile => this.describe(profile)), activeProfileId };
+    }
+    
+    setActive(id) {
+        this.findProfile(id);
+        this.store.set('activeProfileId', id);
+    }
+    
+    /**
+     * Profile with decrypted keys (main process only)
+     */
+    getWithKeys(id) {
+        const profile = this.findProfile(id);
+        const result = this.describe(profile);
+        
+        for (const field of SECRET_FIELDS) {
+            result[field] = '';
+            if (profile[field]) {
+                try {
+                    result[field] = this.safeStorage.decryptString(Buffer.from(profile[field], 'base64'));
+                } catch (error) {
+                    // Encrypted by another OS user or machine
+                    throw new Error(`Saved R2 keys of profile "${profile.name}" could not be decrypted (${error.message}). Enter and save them again.`);
+                }
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Create (no id) or update a profile
+     * Empty key fields keep the saved keys; keys are never written as plain text
+     */
+    save(input) {
+        const fields = cleanProfileFields(input);
+        const profiles = this.getProfiles();
+        
+        if (profiles.some(profile => profile.name.toLowerCase() === fields.name.toLowerCase() && profile.id !== input.id)) {
+            throw new Error(`A profile named "${fields.name}" already exists`);
+        }
+        
+        const existing = input.id ? this.findProfile(input.id) : null;
+        const profile = { ...(existing || {}), ...fields, id: existing ? existing.id : createProfileId(), updatedAt: new Date().toISOString() };
+        
+        for (const field of SECRET_FIELDS) {
+            if (!input[field]) {
+                continue;
+            }
+            if (!this.safeStorage.isEncryptionAvailable()) {
+                throw new Error('OS encryption is not available, so R2 keys cannot be saved securely.');
+            }
+            profile[field] = this.safeStorage.encryptString(input[field]).toString('base64');
+        }
+        
+        this.store.set('profiles', existing
+            ? profiles.map(entry => (entry.id === profile.id ? profile : entry))
+            : [...profiles, profile]);
+        return this.describe(profile);
+    }
+    
+    remove(id) {
+        this.findProfile(id);
+        this.store.set('profiles', this.getProfiles().filter(profile => profile.id !== id));
+    }
+    
+    /**
+     * Profiles for an export file (keys are left out)
+     */
+    exportProfiles() {
+        return {
+            format: EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            profiles: this.getProfiles().map(profile => {
+                const fields = {};
+                for (const field of PROFILE_FIELDS) {
+                    fields[field] = profile[field] || '';
+                }
+                return fields;
+            })
+        };
+    }
+    
+    /**
+     * Import an export file: a profile with the name of an existing one updates it (its keys are kept),
+     * other profiles are added without keys
+     * Returns { added, updated }
+     */
+    importProfiles(data) {
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+            throw new Error('Not an R2 profile export file');
+        }
+        
+        // Validate everything before changing anything
+        const imported = data.profiles.map(cleanProfileFields);
+        
+        let added = 0;
+        let updated = 0;
+        for (const fields of imported) {
+            const existing = this.getProfiles().find(profile => profile.name.toLowerCase() === fields.name.toLowerCase());
+            this.save({ ...fields, id: existing ? existing.id : undefined });
+            if (existing) {
+                updated++;
+            } else {
+                added++;
+            }
+        }
+        
+        return { added, updated };
+    }
+}
+
+module.exports = {
+    ProfileStore,
+    BUILD_TYPES
+};
@@ -1,9 +1,189 @@
 // r2Uploader.js
 // R2 upload client using AWS SDK for Cloudflare R2
 
-const { S3Client, PutObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand,
+    GetObjectCommand,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { getChunkObjectName, createDecompressStream } = require('./chunkManager');
+
+// Shared content-addressed chunk store directory under each build type
+const CHUNK_STORE_DIR = 'chunks';
+
+// Files at or above this size are uploaded with multipart upload
+const MULTIPART_THRESHOLD = 16 * 1024 * 1024; // 16MB
+
+// Multipart part size (R2 requires all parts but the last to be the same size, at least 5MB)
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024; // 8MB
+
+// With a chunk inventory, verification progress is reported every this many chunks (missing chunks always)
+const INVENTORY_PROGRESS_INTERVAL = 500;
+
+// Object metadata key (x-amz-meta-sha256) holding the SHA-256 of the uncompressed chunk
+const CHUNK_HASH_METADATA_KEY = 'sha256';
+
+// Object metadata keys recording the signed-in user who uploaded a version manifest / promoted the latest manifest
+const UPLOADED_BY_METADATA_KEY = 'uploaded-by';
+const PROMOTED_BY_METADATA_KEY = 'promoted-by';
+
+// Parallel downloads when deep verification re-hashes chunks
+const DEEP_VERIFY_CONCURRENCY = 4;
+
+// Read size for upload streams (also the granularity of byte progress events)
+const UPLOAD_STREAM_HIGH_WATER_MARK = 1024 * 1024; // 1MB
+
+// Retry policy for every S3 call (config.retry overrides individual fields)
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,
+    baseDelayMs: 500,
+    maxDelayMs: 20000,
+    maxRetryAfterMs: 60000 // Upper bound for server-requested Retry-After delays
+};
+
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+const RETRYABLE_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH'
+]);
+
+const RETRYABLE_ERROR_NAMES = new Set([
+    'TimeoutError',
+    'RequestTimeout',
+    'RequestTimeoutException',
+    'NetworkingError',
+    'SlowDown',
+    'InternalError',
+    'ServiceUnavailable',
+    'ThrottlingException',
+    'BadDigest', // Body did not match its checksum - corrupted in transit
+    'TooManyRequestsException'
+]);
+
+/**
+ * Transient errors worth retrying: network failures, timeouts, throttling and 5xx responses
+ */
+function isRetryableError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.$retryable) {
+        return true;
+    }
+    if (RETRYABLE_STATUS_CODES.has(error.$metadata?.httpStatusCode)) {
+        return true;
+    }
+    return RETRYABLE_ERROR_CODES.has(error.code) || RETRYABLE_ERROR_NAMES.has(error.name);
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Delay requested by the server through Retry-After (seconds or HTTP date), or null
+ */
+function getRetryAfterMs(error) {
+    const headers = error.$response?.headers;
+    const value = headers && (headers['retry-after'] || headers['Retry-After']);
+    if (!value) {
+        return null;
+    }
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Files with missing or mismatched chunks (the files to re-upload)
+ * Returns [{ filename, missingChunks: [hash], mismatchedChunks: [hash] }]
+ */
+function getAffectedFiles(manifest, missingChunks, mismatchedChunks) {
+    const missing = new Set(missingChunks.map(chunk => chunk.hash));
+    const mismatched = new Set(mismatchedChunks.map(chunk => chunk.hash));
+    const affectedFiles = [];
+    
+    if (missing.size === 0 && mismatched.size === 0) {
+        return affectedFiles;
+    }
+    
+    for (const file of manifest.files || []) {
+        const hashes = (file.chunks || []).map(chunk => chunk.hash);
+        const fileMissing = [...new Set(hashes.filter(hash => missing.has(hash)))];
+        const fileMismatched = [...new Set(hashes.filter(hash => mismatched.has(hash)))];
+        if (fileMissing.length > 0 || fileMismatched.length > 0) {
+            affectedFiles.push({ filename: file.filename, missingChunks: fileMissing, mismatchedChunks: fileMismatched });
+        }
+    }
+    
+    return affectedFiles;
+}
+
+/**
+ * Base64 digest of a local file (or a byte range of it), as used by checksum headers
+ */
+async function hashLocalFile(localPath, algorithm, range = {}) {
+    const hash = crypto.createHash(algorithm);
+    for await (const block of fsSync.createReadStream(localPath, { ...range, highWaterMark: UPLOAD_STREAM_HIGH_WATER_MARK })) {
+        hash.update(block);
+    }
+    return hash.digest('base64');
+}
+
+/**
+ * Wait ms milliseconds, or until signal is aborted
+ */
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', done);
+            }
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        if (signal) {
+            signal.addEventListener('abort', done, { once: true });
+        }
+    });
+}
+
+/**
+ * Key prefix as "folder/" (or '' for the bucket root)
+ */
+function normalizeKeyPrefix(prefix) {
+    const trimmed = (prefix || '').trim().replace(/^\/+|\/+$/g, '');
+    return trimmed ? `${trimmed}/` : '';
+}
 
 /**
  * R2 Uploader class
@@ -15,13 +195,38 @@ class R2Uploader {
             endpoint: config.endpoint,
             accessKeyId: config.accessKeyId,
             secretAccessKey: config.secretAccessKey,
-            region: 'auto' // R2 uses 'auto' as region
+            region: 'auto', // R2 uses 'auto' as region
+            // Optional folder all keys live under (e.g. "games/roleplayai/"), and the public URL of the bucket
+            keyPrefix: normalizeKeyPrefix(config.keyPrefix),
+            publicBaseUrl: (config.publicBaseUrl || '').replace(/\/+$/, ''),
+            multipartThreshold: config.multipartThreshold || MULTIPART_THRESHOLD,
+            partSize: Math.max(config.partSize || MULTIPART_PART_SIZE, 5 * 1024 * 1024),
+            retry: { ...DEFAULT_RETRY_POLICY, ...(config.retry || {}) }
         };
         
+        // Total number of retries performed by this uploader (surfaced in upload stats)
+        this.retryCount = 0;
+        
+        // Optional hook called before each retry with { label, attempt, maxAttempts, delayMs, error }
+        this.onRetry = null;
+        
+        // AbortSignal that cancels in-flight requests and pending retries (set by UploadManager)
+        this.abortSignal = null;
+        
+        // Listed chunk store keys per build type: buildType -> Map(key -> size)
+        this.chunkInventories = new Map();
+        
+        // Optional BandwidthLimiter shared by all uploads of this uploader (set by UploadManager)
+        this.bandwidthLimiter = null;
+        
         this.client = new S3Client({
             region: this.config.region,
             endpoint: this.config.endpoint,
             forcePathStyle: true, // Required for R2 - use path-style addressing
+            maxAttempts: 1, // Retries are handled by withRetry so every call follows the same policy
+            // Streaming bodies would otherwise be sent with aws-chunked trailing checksums, which R2 does not accept
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
             credentials: {
                 accessKeyId: this.config.accessKeyId,
                 secretAccessKey: this.config.secretAccessKey
@@ -29,6 +234,64 @@ class R2Uploader {
         });
     }
     
+    /**
+     * Throw an AbortError if abortSignal was aborted
+     */
+    throwIfAborted() {
+        if (this.abortSignal && this.abortSignal.aborted) {
+            const error = new Error('Upload cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+    
+    /**
+     * Run an S3 operation with the retry policy
+     * operation is called again for every attempt, so request bodies (streams) must be created inside it
+     * label describes the call in logs
+     * abortable: false keeps running after abortSignal was aborted (cleanup requests)
+     */
+    async withRetry(operation, label, { abortable = true } = {}) {
+        const { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs } = this.config.retry;
+        
+        for (let attempt = 1; ; attempt++) {
+            if (abortable) {
+                this.throwIfAborted();
+            }
+            
+            try {
+                return await operation();
+            } catch (error) {
+                const aborted = abortable && this.abortSignal && this.abortSignal.aborted;
+                if (attempt >= maxAttempts || aborted || !isRetryableError(error)) {
+                    throw error;
+                }
+                
+                // Exponential backoff with jitter, or the server's Retry-After if longer
+                const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+                const jittered = backoff / 2 + Math.random() * (backoff / 2);
+                const retryAfter = getRetryAfterMs(error);
+                const delayMs = Math.round(retryAfter !== null ? Math.min(Math.max(retryAfter, jittered), maxRetryAfterMs) : jittered);
+                
+                this.retryCount++;
+                console.warn(`[R2Uploader] ${label} failed (attempt ${attempt}/${maxAttempts}): ${error.code || error.name}: ${error.message} - retrying in ${delayMs}ms`);
+                if (this.onRetry) {
+                    this.onRetry({ label, attempt, maxAttempts, delayMs, error });
+                }
+                
+                await sleep(delayMs, abortable ? this.abortSignal : null);
+            }
+        }
+    }
+    
+    /**
+     * Send a command with the retry policy (for commands without stream bodies)
+     */
+    async send(command, label = command.constructor.name, { abortable = true } = {}) {
+        const requestOptions = abortable ? { abortSignal: this.abortSignal } : {};
+        return await this.withRetry(() => this.client.send(command, requestOptions), label, { abortable });
+    }
+    
     /**
      * Test R2 connection and verify bucket access
      */
@@ -40,7 +303,7 @@ class R2Uploader {
                 MaxKeys: 1
             });
             
-            await this.client.send(listCommand);
+            await this.send(listCommand);
             
             // Try to upload a small test object to verify write permission
             try {
@@ -51,7 +314,7 @@ class R2Uploader {
                     Body: Buffer.from('test')
                 });
                 
-                await this.client.send(testCommand);
+                await this.send(testCommand);
                 
                 // Clean up test object
                 try {
@@ -59,7 +322,7 @@ class R2Uploader {
                         Bucket: this.config.bucket,
                         Key: testKey
                     });
-                    await this.client.send(deleteCommand);
+                    await this.send(deleteCommand);
                 } catch (deleteError) {
                     // Ignore cleanup errors
                     console.warn('Could not delete test object:', deleteError);
@@ -120,7 +383,7 @@ class R2Uploader {
                 Key: key
             });
             
-            await this.client.send(command);
+            await this.send(command, `HeadObject ${key}`);
             return true;
         } catch (error) {
             if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
@@ -130,30 +393,255 @@ class R2Uploader {
         }
     }
     
+    /**
+     * Size and user metadata of an object ({ size, metadata }), or null if it does not exist
+     */
+    async getObjectInfo(key) {
+        try {
+            const response = await this.send(new HeadObjectCommand({
+                Bucket: this.config.bucket,
+                Key: key
+            }), `HeadObject ${key}`);
+            return { size: response.ContentLength, metadata: response.Metadata || {} };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Download an object and compute the SHA-256 of its content (decompressed first for compressed chunks)
+     * The object is streamed, never held in memory
+     * Returns { hash, size } where size is the (decompressed) content size
+     */
+    async hashObject(key, compression = null) {
+        return await this.withRetry(async () => {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.config.bucket,
+                Key: key
+            }), { abortSignal: this.abortSignal });
+            
+            const source = compression
+                ? pipeline(response.Body, createDecompressStream(compression), () => {})
+                : response.Body;
+            
+            const hash = crypto.createHash('sha256');
+            let size = 0;
+            for await (const block of source) {
+                hash.update(block);
+                size += block.length;
+            }
+            
+            return { hash: hash.digest('hex'), size };
+        }, `GetObject ${key}`);
+    }
+    
+    /**
+     * List all objects under a prefix (follows continuation tokens)
+     * Returns [{ key, size }]
+     */
+    async listObjects(prefix) {
+        const objects = [];
+        let continuationToken = undefined;
+        
+        do {
+            const response = await this.send(new ListObjectsV2Command({
+                Bucket: this.config.bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }), `ListObjectsV2 ${prefix}`);
+            
+            for (const object of response.Contents || []) {
+                objects.push({ key: object.Key, size: object.Size });
+            }
+            
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+        
+        return objects;
+    }
+    
+    /**
+     * Server-side copy of an object within the bucket
+     * options.metadata replaces the source object's metadata on the copy (MetadataDirective: REPLACE)
+     */
+    async copyObject(sourceKey, targetKey, options = {}) {
+        const { metadata = null } = options;
+        const command = new CopyObjectCommand({
+            Bucket: this.config.bucket,
+            CopySource: encodeURI(`${this.config.bucket}/${sourceKey}`),
+            Key: targetKey,
+            ...(metadata ? { MetadataDirective: 'REPLACE', Metadata: metadata } : {})
+        });
+        
+        await this.send(command, `CopyObject ${sourceKey}`);
+        return { success: true, sourceKey, key: targetKey };
+    }
+    
+    /**
+     * Read stream over a file (or a byte range of it) that reports every block it hands on
+     * onBytes(byteCount) is called as the SDK consumes the body
+     * Blocks are held back by bandwidthLimiter when an upload rate limit is set
+     */
+    createUploadStream(localPath, range, onBytes) {
+        const limiter = this.bandwidthLimiter;
+        const signal = this.abortSignal;
+        const counter = new Transform({
+            transform(block, encoding, callback) {
+                if (!limiter) {
+                    onBytes(block.length);
+                    callback(null, block);
+                    return;
+                }
+                limiter.consume(block.length, signal).then(() => {
+                    onBytes(block.length);
+                    callback(null, block);
+                }, callback);
+            }
+        });
+        
+        const source = fsSync.createReadStream(localPath, {
+            ...range,
+            highWaterMark: UPLOAD_STREAM_HIGH_WATER_MARK
+        });
+        
+        pipeline(source, counter, (error) => {
+            if (error) {
+                counter.destroy(error);
+            }
+        });
+        
+        return counter;
+    }
+    
+    /**
+     * Upload a file with S3 multipart upload, one part at a time
+     * Every part is sent with Content-MD5, so R2 rejects a part corrupted in transit
+     * The upload is aborted on failure so no orphaned parts are left in the bucket
+     */
+    async uploadFileMultipart(localPath, r2Key, size, onBytes, metadata = undefined) {
+        const partSize = this.config.partSize;
+        
+        const { UploadId } = await this.send(new CreateMultipartUploadCommand({
+            Bucket: this.config.bucket,
+            Key: r2Key,
+            Metadata: metadata
+        }), `CreateMultipartUpload ${r2Key}`);
+        
+        try {
+            const parts = [];
+            
+            for (let partNumber = 1, start = 0; start < size; partNumber++, start += partSize) {
+                const end = Math.min(start + partSize, size);
+                const contentMD5 = await hashLocalFile(localPath, 'md5', { start, end: end - 1 });
+                
+                // Bytes sent by a failed attempt are taken back before the part is sent again
+                let partBytes = 0;
+                const response = await this.withRetry(() => {
+                    if (partBytes > 0) {
+                        onBytes(-partBytes);
+                        partBytes = 0;
+                    }
+                    return this.client.send(new UploadPartCommand({
+                        Bucket: this.config.bucket,
+                        Key: r2Key,
+                        UploadId,
+                        PartNumber: partNumber,
+                        Body: this.createUploadStream(localPath, { start, end: end - 1 }, (bytes) => {
+                            partBytes += bytes;
+                            onBytes(bytes);
+                        }),
+                        ContentLength: end - start,
+                        ContentMD5: contentMD5
+                    }), { abortSignal: this.abortSignal });
+                }, `UploadPart ${partNumber} ${r2Key}`);
+                
+                parts.push({ ETag: response.ETag, PartNumber: partNumber });
+            }
+            
+            await this.send(new CompleteMultipartUploadCommand({
+                Bucket: this.config.bucket,
+                Key: r2Key,
+                UploadId,
+                MultipartUpload: { Parts: parts }
+            }), `CompleteMultipartUpload ${r2Key}`);
+            
+            return parts.length;
+        } catch (error) {
+            try {
+                // Also runs after a cancel, so the incomplete upload does not linger in the bucket
+                await this.send(new AbortMultipartUploadCommand({
+                    Bucket: this.config.bucket,
+                    Key: r2Key,
+                    UploadId
+                }), `AbortMultipartUpload ${r2Key}`, { abortable: false });
+            } catch (abortError) {
+                console.error(`[R2Uploader] Failed to abort multipart upload ${UploadId} for key: ${r2Key}`, abortError);
+            }
+            throw error;
+        }
+    }
+    
     /**
      * Upload a file to R2
+     * The file is streamed from disk; files of at least multipartThreshold bytes use multipart upload.
+     * onProgress receives { key, bytesUploaded, totalBytes } while uploading and
+     * { key, size, uploaded: true } when done.
+     * Single PUTs carry x-amz-checksum-sha256 (options.checksumSHA256 as base64, computed from the file
+     * if not given) and multipart parts carry Content-MD5, so R2 rejects corrupted bodies.
+     * options.metadata is stored as object metadata (x-amz-meta-*).
      */
-    async uploadFile(localPath, r2Key, onProgress = null) {
+    async uploadFile(localPath, r2Key, onProgress = null, options = {}) {
+        const { checksumSHA256 = null, metadata = undefined } = options;
+        
         try {
-            const fileData = await fs.readFile(localPath);
+            const { size } = await fs.stat(localPath);
+            const multipart = size >= this.config.multipartThreshold;
             
             // Log configuration for debugging (without sensitive data)
-            console.log(`[R2Uploader] Uploading to bucket: ${this.config.bucket}, key: ${r2Key}, size: ${fileData.length} bytes`);
+            console.log(`[R2Uploader] Uploading to bucket: ${this.config.bucket}, key: ${r2Key}, size: ${size} bytes${multipart ? ' (multipart)' : ''}`);
             console.log(`[R2Uploader] Endpoint: ${this.config.endpoint}`);
             console.log(`[R2Uploader] Using path-style addressing: true`);
             
-            const command = new PutObjectCommand({
-                Bucket: this.config.bucket,
-                Key: r2Key,
-                Body: fileData
-            });
+            let bytesUploaded = 0;
+            const reportBytes = (bytes) => {
+                bytesUploaded += bytes;
+                if (onProgress) {
+                    onProgress({
+                        key: r2Key,
+                        bytesUploaded,
+                        totalBytes: size
+                    });
+                }
+            };
             
-            await this.client.send(command);
+            if (multipart) {
+                await this.uploadFileMultipart(localPath, r2Key, size, reportBytes, metadata);
+            } else {
+                const checksum = checksumSHA256 || await hashLocalFile(localPath, 'sha256');
+                
+                // The stream is recreated for every attempt, bytes of a failed attempt are taken back first
+                await this.withRetry(() => {
+                    if (bytesUploaded > 0) {
+                        reportBytes(-bytesUploaded);
+                    }
+                    return this.client.send(new PutObjectCommand({
+                        Bucket: this.config.bucket,
+                        Key: r2Key,
+                        Body: this.createUploadStream(localPath, {}, reportBytes),
+                        ContentLength: size,
+                        ChecksumSHA256: checksum,
+                        Metadata: metadata
+                    }), { abortSignal: this.abortSignal });
+                }, `PutObject ${r2Key}`);
+            }
             
             if (onProgress) {
                 onProgress({
                     key: r2Key,
-                    size: fileData.length,
+                    size,
                     uploaded: true
                 });
             }
@@ -161,9 +649,14 @@ class R2Uploader {
             return {
                 success: true,
                 key: r2Key,
-                size: fileData.length
+                size,
+                multipart
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            
             // Log full error details for debugging
             console.error(`[R2Uploader] Upload failed for key: ${r2Key}`);
             console.error(`[R2Uploader] Bucket: ${this.config.bucket}`);
@@ -206,16 +699,21 @@ class R2Uploader {
     
     /**
      * Upload buffer to R2
+     * options.metadata is stored as object metadata (x-amz-meta-*)
      */
-    async uploadBuffer(buffer, r2Key, onProgress = null) {
+    async uploadBuffer(buffer, r2Key, onProgress = null, options = {}) {
+        const { metadata = undefined } = options;
+        
         try {
             const command = new PutObjectCommand({
                 Bucket: this.config.bucket,
                 Key: r2Key,
-                Body: buffer
+                Body: buffer,
+                ContentMD5: crypto.createHash('md5').update(buffer).digest('base64'),
+                Metadata: metadata
             });
             
-            await this.client.send(command);
+            await this.send(command, `PutObject ${r2Key}`);
             
             if (onProgress) {
                 onProgress({
@@ -252,16 +750,143 @@ class R2Uploader {
         }
     }
     
+    /**
+     * Folder of a build type: [key prefix][buildType]/
+     */
+    getBuildTypePrefix(buildType = 'production') {
+        return `${this.config.keyPrefix}${buildType}/`;
+    }
+    
+    /**
+     * R2 key of a chunk in the shared store: [buildType]/chunks/[hash-prefix]/[hash][compression extension]
+     * Chunks are content-addressed, so every version of a build type shares them
+     * chunk: manifest chunk entry ({ hash, compression })
+     */
+    getChunkKey(chunk, buildType = 'production') {
+        const hashPrefix = chunk.hash.substring(0, 2);
+        return `${this.getBuildTypePrefix(buildType)}${CHUNK_STORE_DIR}/${hashPrefix}/${getChunkObjectName(chunk)}`;
+    }
+    
+    /**
+     * Build type folders that can hold chunks from before the shared store
+     * Those chunks may predate key prefixes, so with a key prefix the unprefixed [buildType]/ folder is included
+     */
+    getVersionChunkPrefixes(buildType = 'production') {
+        const prefixes = [this.getBuildTypePrefix(buildType)];
+        if (this.config.keyPrefix) {
+            prefixes.push(`${buildType}/`);
+        }
+        return prefixes;
+    }
+    
+    /**
+     * Keys a chunk may have from before the shared store: [buildType]/[version]/chunks/[hash-prefix]/[object name]
+     * under each folder of getVersionChunkPrefixes
+     */
+    getVersionChunkKeys(chunk, version, buildType = 'production') {
+        const hashPrefix = chunk.hash.substring(0, 2);
+        return this.getVersionChunkPrefixes(buildType)
+            .map(prefix => `${prefix}${version}/chunks/${hashPrefix}/${getChunkObjectName(chunk)}`);
+    }
+    
+    /**
+     * List the shared chunk store of a build type once (paginated) and keep its keys and sizes in memory,
+     * so existence checks do not need a HEAD request per chunk
+     * Returns the inventory, or null if listing failed - chunkExists then falls back to HEAD requests
+     */
+    async loadChunkInventory(buildType = 'production') {
+        const prefix = `${this.getBuildTypePrefix(buildType)}${CHUNK_STORE_DIR}/`;
+        
+        try {
+            const objects = await this.listObjects(prefix);
+            const inventory = new Map(objects.map(object => [object.key, object.size]));
+            this.chunkInventories.set(buildType, inventory);
+            console.log(`[R2Uploader] Chunk inventory for ${prefix}: ${inventory.size} objects`);
+            return inventory;
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            this.chunkInventories.delete(buildType);
+            console.warn(`[R2Uploader] Could not list ${prefix} (${error.message}) - falling back to HEAD requests`);
+            return null;
+        }
+    }
+    
+    /**
+     * Check whether a chunk is in the shared store
+     * Uses the chunk inventory of the build type if one was loaded, otherwise a HEAD request
+     */
+    async chunkExists(chunk, buildType = 'production') {
+        const r2Key = this.getChunkKey(chunk, buildType);
+        const inventory = this.chunkInventories.get(buildType);
+        
+        if (inventory) {
+            return inventory.has(r2Key);
+        }
+        return await this.objectExists(r2Key);
+    }
+    
+    /**
+     * Record a chunk stored by this uploader in the inventory of its build type
+     */
+    addToChunkInventory(r2Key, size, buildType = 'production') {
+        const inventory = this.chunkInventories.get(buildType);
+        if (inventory) {
+            inventory.set(r2Key, size);
+        }
+    }
+    
+    /**
+     * Carry a chunk uploaded under an older version's prefix into the shared store
+     * with a server-side copy (no bytes are sent from this machine)
+     * The old version may predate the profile's key prefix (see getVersionChunkPrefixes)
+     * Skipped if the chunk is already in the shared store
+     */
+    async copyChunkFromVersion(chunk, fromVersion, buildType = 'production') {
+        const chunkHash = chunk.hash;
+        const r2Key = this.getChunkKey(chunk, buildType);
+        
+        if (await this.chunkExists(chunk, buildType)) {
+            return { success: true, key: r2Key, skipped: true, reason: 'already_exists', chunkHash };
+        }
+        
+        // Per-version chunks may predate the hash metadata - set it on the copy
+        // Tried under each possible version folder, a missing source throws the last not-found error
+        let sourceKey = null;
+        let notFoundError = null;
+        for (const key of this.getVersionChunkKeys(chunk, fromVersion, buildType)) {
+            try {
+                await this.copyObject(key, r2Key, { metadata: { [CHUNK_HASH_METADATA_KEY]: chunkHash } });
+                sourceKey = key;
+                break;
+            } catch (error) {
+                if (error.name !== 'NoSuchKey' && error.$metadata?.httpStatusCode !== 404) {
+                    throw error;
+                }
+                notFoundError = error;
+            }
+        }
+        if (!sourceKey) {
+            throw notFoundError;
+        }
+        this.addToChunkInventory(r2Key, chunk.compressedSize || chunk.size, buildType);
+        console.log(`[R2Uploader] Copied chunk ${chunkHash.substring(0, 16)}... from ${sourceKey}`);
+        
+        return { success: true, key: r2Key, copied: true, sourceKey, chunkHash };
+    }
+    
     /**
      * Upload chunk to R2
-     * Chunks are stored as: [buildType]/[version]/chunks/[hash-prefix]/[hash]
+     * chunk: manifest chunk entry ({ hash, compression }), chunkPath: file in the local chunk store
+     * Compressed chunks are already compressed on disk and uploaded as-is
      */
-    async uploadChunk(chunkHash, chunkPath, version, buildType = 'production', onProgress = null) {
-        const hashPrefix = chunkHash.substring(0, 2);
-        const r2Key = `${buildType}/${version}/chunks/${hashPrefix}/${chunkHash}`;
+    async uploadChunk(chunk, chunkPath, buildType = 'production', onProgress = null) {
+        const chunkHash = chunk.hash;
+        const r2Key = this.getChunkKey(chunk, buildType);
         
         // Check if chunk already exists
-        const exists = await this.objectExists(r2Key);
+        const exists = await this.chunkExists(chunk, buildType);
         if (exists) {
             if (onProgress) {
                 onProgress({
@@ -276,29 +901,37 @@ class R2Uploader {
             return { success: true, key: r2Key, skipped: true, reason: 'already_exists', chunkHash };
         }
         
-        return await this.uploadFile(chunkPath, r2Key, onProgress);
+        // The chunk hash is the SHA-256 of the uncompressed data - for raw chunks it is also the body checksum.
+        // It is stored as metadata so verification can check it without downloading the chunk.
+        const result = await this.uploadFile(chunkPath, r2Key, onProgress, {
+            checksumSHA256: chunk.compression ? null : Buffer.from(chunkHash, 'hex').toString('base64'),
+            metadata: { [CHUNK_HASH_METADATA_KEY]: chunkHash }
+        });
+        this.addToChunkInventory(r2Key, result.size, buildType);
+        return result;
     }
     
     /**
      * Upload manifest to R2
      * Manifests are stored as:
      * - [buildType]/[version]/manifest.json (version-specific)
-     * - [buildType]/roleplayai_manifest.json (build-specific latest)
+     * - [buildType]/roleplayai_manifest.json (build-specific latest, skipped with updateLatest: false)
+     * options.uploadedBy (the signed-in user) is stored as uploaded-by metadata of the manifests
      */
-    async uploadManifest(manifestPath, version, buildType = 'production', onProgress = null) {
+    async uploadManifest(manifestPath, version, buildType = 'production', onProgress = null, options = {}) {
+        const { updateLatest = true, uploadedBy = null } = options;
+        const metadata = uploadedBy ? { [UPLOADED_BY_METADATA_KEY]: uploadedBy } : undefined;
+        
         const manifestData = await fs.readFile(manifestPath, 'utf-8');
         const manifest = JSON.parse(manifestData);
         
-        // Ensure buildType is in manifest
-        if (!manifest.buildType) {
-            manifest.buildType = buildType;
-        }
+        // The published manifest names the build folder it was uploaded to
+        manifest.buildType = buildType;
         
-        // Update chunk URLs to include buildType in path
+        // Update chunk URLs to point to the shared chunk store of the build type
         manifest.files.forEach(file => {
             file.chunks.forEach(chunk => {
-                const hashPrefix = chunk.hash.substring(0, 2);
-                chunk.url = `${buildType}/${version}/chunks/${hashPrefix}/${chunk.hash}`;
+                chunk.url = this.getChunkKey(chunk, buildType);
             });
         });
         
@@ -306,19 +939,29 @@ class R2Uploader {
         const updatedManifestData = JSON.stringify(manifest, null, 2);
         
         // Upload version-specific manifest
-        const versionKey = `${buildType}/${version}/manifest.json`;
+        const versionKey = `${this.getBuildTypePrefix(buildType)}${version}/manifest.json`;
         await this.uploadBuffer(
             Buffer.from(updatedManifestData, 'utf-8'),
             versionKey,
-            onProgress
+            onProgress,
+            { metadata }
         );
         
+        if (!updateLatest) {
+            return {
+                success: true,
+                versionKey,
+                latestKey: null
+            };
+        }
+        
         // Upload build-specific latest manifest
-        const latestKey = `${buildType}/roleplayai_manifest.json`;
+        const latestKey = `${this.getBuildTypePrefix(buildType)}roleplayai_manifest.json`;
         await this.uploadBuffer(
             Buffer.from(updatedManifestData, 'utf-8'),
             latestKey,
-            onProgress
+            onProgress,
+            { metadata }
         );
         
         return {
@@ -328,29 +971,49 @@ class R2Uploader {
         };
     }
     
+    /**
+     * Point the build-specific latest manifest at an uploaded version
+     * Server-side copy of [buildType]/[version]/manifest.json, so latest is exactly the manifest that was uploaded
+     */
+    async updateLatestManifest(version, buildType = 'production') {
+        const versionKey = `${this.getBuildTypePrefix(buildType)}${version}/manifest.json`;
+        const latestKey = `${this.getBuildTypePrefix(buildType)}roleplayai_manifest.json`;
+        await this.copyObject(versionKey, latestKey);
+        
+        return {
+            success: true,
+            versionKey,
+            latestKey
+        };
+    }
+    
     /**
      * Upload version file to R2
      */
     async uploadVersion(versionPath, version, buildType = 'production', onProgress = null) {
-        const versionKey = `${buildType}/${version}/version.json`;
+        const versionKey = `${this.getBuildTypePrefix(buildType)}${version}/version.json`;
         return await this.uploadFile(versionPath, versionKey, onProgress);
     }
     
     /**
-     * Get R2 URL for a key (for manifest URLs)
-     * Note: This is the R2 endpoint URL, not a public URL
-     * Public URLs would need to be configured via Cloudflare
+     * URL of a key: under the profile's public base URL, or the R2 endpoint URL if none is set
+     * (the endpoint URL needs credentials, it is not publicly readable)
      */
     getR2Url(key) {
-        // For now, return the R2 endpoint URL
-        // In production, you might want to use a Cloudflare public URL
+        if (this.config.publicBaseUrl) {
+            return `${this.config.publicBaseUrl}/${key}`;
+        }
         return `${this.config.endpoint}/${this.config.bucket}/${key}`;
     }
     
     /**
      * Verify manifest against R2 bucket - check if all chunks exist
+     * The chunk store is listed once up front; HEAD requests are only used if listing fails
+     * options.deep also compares object sizes with the manifest, and options.hashPercent (0-100)
+     * hash-checks that share of the chunks (options.useMetadata: false always downloads and recomputes the SHA-256)
      */
-    async verifyManifest(manifest, buildType = 'production', onProgress = null) {
+    async verifyManifest(manifest, buildType = 'production', onProgress = null, options = {}) {
+        const { deep = false, hashPercent = 0, useMetadata = true } = options;
         const { getAllChunks } = require('./manifestUtils');
         const allChunks = getAllChunks(manifest);
         const version = manifest.version;
@@ -370,14 +1033,24 @@ class R2Uploader {
             onProgress({ percentage: 0, message: `Starting verification of ${allChunks.length} chunks...` });
         }
         
+        // Existence checks take the whole progress bar, or the first half in deep mode
+        const existencePercent = deep ? 50 : 100;
+        const existing = [];
+        
+        // Fresh listing, so chunks deleted since an earlier inventory are reported as missing
+        const inventory = await this.loadChunkInventory(buildType);
+        results.method = inventory ? 'list' : 'head';
+        
         for (let i = 0; i < allChunks.length; i++) {
             const chunk = allChunks[i];
-            const hashPrefix = chunk.hash.substring(0, 2);
-            const r2Key = `${buildType}/${version}/chunks/${hashPrefix}/${chunk.hash}`;
+            const r2Key = this.getChunkKey(chunk, buildType);
+            
+            // Chunk-by-chunk progress only while checking with HEAD requests
+            const reportChunk = !inventory || (i + 1) % INVENTORY_PROGRESS_INTERVAL === 0 || i === allChunks.length - 1;
             
             // Report progress
-            if (onProgress) {
-                const percentage = ((i + 1) / allChunks.length) * 100;
+            if (onProgress && reportChunk) {
+                const percentage = ((i + 1) / allChunks.length) * existencePercent;
                 onProgress({ 
                     percentage, 
                     message: `Checking chunk ${i + 1}/${allChunks.length}: ${chunk.hash.substring(0, 8)}...`,
@@ -387,7 +1060,7 @@ class R2Uploader {
                 });
             }
             
-            const exists = await this.objectExists(r2Key);
+            const exists = await this.chunkExists(chunk, buildType);
             results.totalSize += chunk.size;
             
             if (exists) {
@@ -397,10 +1070,11 @@ class R2Uploader {
                     key: r2Key
                 });
                 results.existingSize += chunk.size;
+                existing.push(chunk);
                 
-                if (onProgress) {
+                if (onProgress && reportChunk) {
                     onProgress({ 
-                        percentage: ((i + 1) / allChunks.length) * 100,
+                        percentage: ((i + 1) / allChunks.length) * existencePercent,
                         message: `✓ Chunk ${i + 1}/${allChunks.length} exists (${results.existingChunks.length} found, ${results.missingChunks.length} missing)`,
                         chunkStatus: 'exists'
                     });
@@ -415,7 +1089,7 @@ class R2Uploader {
                 
                 if (onProgress) {
                     onProgress({ 
-                        percentage: ((i + 1) / allChunks.length) * 100,
+                        percentage: ((i + 1) / allChunks.length) * existencePercent,
                         message: `✗ Chunk ${i + 1}/${allChunks.length} missing: ${chunk.hash.substring(0, 16)}...`,
                         chunkStatus: 'missing',
                         chunkHash: chunk.hash
@@ -424,19 +1098,138 @@ class R2Uploader {
             }
         }
         
+        results.mismatchedChunks = [];
+        if (deep) {
+            results.deep = await this.deepVerifyChunks(existing, buildType, inventory, { hashPercent, useMetadata }, results.mismatchedChunks, (progress) => {
+                if (onProgress) {
+                    onProgress({ ...progress, percentage: 50 + progress.percentage / 2 });
+                }
+            });
+        }
+        
         results.verificationComplete = true;
         results.allChunksExist = results.missingChunks.length === 0;
+        results.allChunksValid = results.allChunksExist && results.mismatchedChunks.length === 0;
+        results.affectedFiles = getAffectedFiles(manifest, results.missingChunks, results.mismatchedChunks);
         
         if (onProgress) {
             onProgress({ 
                 percentage: 100, 
-                message: `Verification complete! ${results.existingChunks.length} found, ${results.missingChunks.length} missing` 
+                message: `Verification complete! ${results.existingChunks.length} found, ${results.missingChunks.length} missing` +
+                    (deep ? `, ${results.mismatchedChunks.length} mismatched` : '')
             });
         }
         
         return results;
     }
     
+    /**
+     * Deep checks of chunks that exist in R2
+     * Sizes are compared with the manifest (stored size for compressed chunks, first 10% of the progress),
+     * then hashPercent of the chunks with the right size are hash-checked: with useMetadata the hash stored
+     * as object metadata at upload is read with a HEAD request, chunks without it are downloaded and re-hashed
+     * Mismatches are pushed to mismatches as { hash, key, reason: 'size' | 'hash' | 'metadata' | 'unreadable', expected, actual }
+     */
+    async deepVerifyChunks(chunks, buildType, inventory, options, mismatches, onProgress = null) {
+        const { hashPercent = 0, useMetadata = true } = options;
+        const sizeMatched = [];
+        
+        for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            const key = this.getChunkKey(chunk, buildType);
+            const expected = chunk.compressedSize || chunk.size;
+            const info = inventory ? null : await this.getObjectInfo(key);
+            const actual = inventory ? inventory.get(key) : info && info.size;
+            
+            if (actual === expected) {
+                sizeMatched.push(chunk);
+            } else {
+                mismatches.push({ hash: chunk.hash, key, reason: 'size', expected, actual });
+                if (onProgress) {
+                    onProgress({
+                        percentage: ((i + 1) / chunks.length) * 10,
+                        message: `✗ Size mismatch: ${chunk.hash.substring(0, 16)}... is ${actual} bytes in R2, expected ${expected}`,
+                        chunkStatus: 'missing',
+                        chunkHash: chunk.hash
+                    });
+                }
+            }
+        }
+        
+        // Random sample of the chunks to download
+        const percent = Math.min(Math.max(Number(hashPercent) || 0, 0), 100);
+        const sample = [...sizeMatched];
+        const sampleSize = Math.ceil(sample.length * percent / 100);
+        for (let i = 0; i < sampleSize; i++) {
+            const j = i + Math.floor(Math.random() * (sample.length - i));
+            [sample[i], sample[j]] = [sample[j], sample[i]];
+        }
+        sample.length = sampleSize;
+        
+        if (onProgress && sampleSize > 0) {
+            onProgress({ percentage: 10, message: `Sizes checked. Re-hashing ${sampleSize} chunks (${percent}%)...` });
+        }
+        
+        let nextIndex = 0;
+        let hashed = 0;
+        let metadataChecked = 0;
+        let downloaded = 0;
+        const hashNext = async () => {
+            while (nextIndex < sample.length) {
+                const chunk = sample[nextIndex++];
+                const key = this.getChunkKey(chunk, buildType);
+                
+                try {
+                    // The upload checksum made R2 validate the body, so the hash stored with it can be trusted
+                    const info = useMetadata ? await this.getObjectInfo(key) : null;
+                    const storedHash = info && info.metadata[CHUNK_HASH_METADATA_KEY];
+                    
+                    let hash;
+                    if (storedHash) {
+                        hash = storedHash;
+                        metadataChecked++;
+                    } else {
+                        ({ hash } = await this.hashObject(key, chunk.compression || null));
+                        downloaded++;
+                    }
+                    
+                    if (hash !== chunk.hash) {
+                        mismatches.push({ hash: chunk.hash, key, reason: storedHash ? 'metadata' : 'hash', expected: chunk.hash, actual: hash });
+                    }
+                } catch (error) {
+                    if (isAbortError(error)) {
+                        throw error;
+                    }
+                    mismatches.push({ hash: chunk.hash, key, reason: 'unreadable', expected: chunk.hash, actual: error.message });
+                }
+                
+                hashed++;
+                if (onProgress) {
+                    onProgress({
+                        percentage: 10 + (hashed / sample.length) * 90,
+                        message: `Re-hashed ${hashed}/${sample.length} chunks (${mismatches.length} mismatched)`,
+                        currentChunk: hashed,
+                        totalChunks: sample.length
+                    });
+                }
+            }
+        };
+        
+        const workers = [];
+        for (let i = 0; i < Math.min(DEEP_VERIFY_CONCURRENCY, sample.length); i++) {
+            workers.push(hashNext());
+        }
+        await Promise.all(workers);
+        
+        return {
+            sizeChecked: chunks.length,
+            hashChecked: sample.length,
+            hashPercent: percent,
+            metadataChecked,
+            downloaded
+        };
+    }
+    
     /**
      * List all available versions in R2 for a given build type
      * @param {string} buildType - Build type (production/staging)
@@ -446,15 +1239,17 @@ class R2Uploader {
         try {
             const versions = new Set();
             let continuationToken = undefined;
+            const buildTypePrefix = this.getBuildTypePrefix(buildType);
+            const escapedPrefix = buildTypePrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
             
             do {
                 const listCommand = new ListObjectsV2Command({
                     Bucket: this.config.bucket,
-                    Prefix: `${buildType}/`,
+                    Prefix: buildTypePrefix,
                     Delimiter: '/'
                 });
                 
-                const response = await this.client.send(listCommand);
+                const response = await this.send(listCommand, `ListObjectsV2 ${buildType}/`);
                 
                 // Process common prefixes (version folders)
                 if (response.CommonPrefixes && response.CommonPrefixes.length > 0) {
@@ -462,15 +1257,15 @@ class R2Uploader {
                     for (const prefix of response.CommonPrefixes) {
                         // Extract version from prefix like "production/1.0.1.4/"
                         const prefixStr = prefix.Prefix || prefix;
-                        const match = prefixStr.match(new RegExp(`${buildType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/([^/]+)/`));
+                        const match = prefixStr.match(new RegExp(`^${escapedPrefix}([^/]+)/`));
                         if (match && match[1]) {
                             const version = match[1];
                             // Skip if it's not a version folder (e.g., "roleplayai_manifest.json" would be in Contents, not CommonPrefixes)
-                            if (version === 'roleplayai_manifest.json') {
+                            if (version === 'roleplayai_manifest.json' || version === CHUNK_STORE_DIR) {
                                 continue;
                             }
                             // Verify manifest exists for this version
-                            const manifestKey = `${buildType}/${version}/manifest.json`;
+                            const manifestKey = `${this.getBuildTypePrefix(buildType)}${version}/manifest.json`;
                             const manifestExists = await this.objectExists(manifestKey);
                             if (manifestExists) {
                                 versions.add(version);
@@ -490,7 +1285,7 @@ class R2Uploader {
                         for (const obj of response.Contents) {
                             const key = obj.Key;
                             // Match pattern: production/version/manifest.json
-                            const match = key.match(new RegExp(`${buildType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/([^/]+)/manifest\\.json$`));
+                            const match = key.match(new RegExp(`^${escapedPrefix}([^/]+)/manifest\\.json$`));
                             if (match && match[1]) {
                                 const version = match[1];
                                 versions.add(version);
@@ -521,7 +1316,7 @@ class R2Uploader {
             // Try to get the current/latest version from the latest manifest
             let currentVersion = null;
             try {
-                const latestKey = `${buildType}/roleplayai_manifest.json`;
+                const latestKey = `${this.getBuildTypePrefix(buildType)}roleplayai_manifest.json`;
                 const latestExists = await this.objectExists(latestKey);
                 if (latestExists) {
                     const latestManifest = await this.getManifest(null, buildType, latestKey);
@@ -553,28 +1348,29 @@ class R2Uploader {
      */
     async getManifest(version, buildType = 'production', customKey = null) {
         try {
-            const manifestKey = customKey || `${buildType}/${version}/manifest.json`;
-            
-            const getCommand = new GetObjectCommand({
-                Bucket: this.config.bucket,
-                Key: manifestKey
-            });
-            
-            const response = await this.client.send(getCommand);
+            const manifestKey = customKey || `${this.getBuildTypePrefix(buildType)}${version}/manifest.json`;
             
-            // Read the stream
-            const chunks = [];
-            for await (const chunk of response.Body) {
-                chunks.push(chunk);
-            }
-            
-            const manifestData = Buffer.concat(chunks).toString('utf-8');
+            // Reading the body is part of the retried operation - the connection can drop mid-stream
+            const manifestData = await this.withRetry(async () => {
+                const response = await this.client.send(new GetObjectCommand({
+                    Bucket: this.config.bucket,
+                    Key: manifestKey
+                }), { abortSignal: this.abortSignal });
+                
+                // Read the stream
+                const chunks = [];
+                for await (const chunk of response.Body) {
+                    chunks.push(chunk);
+                }
+                
+                return Buffer.concat(chunks).toString('utf-8');
+            }, `GetObject ${manifestKey}`);
             const manifest = JSON.parse(manifestData);
             
             return manifest;
         } catch (error) {
             if (error.$metadata?.httpStatusCode === 404) {
-                const keyInfo = customKey || `${buildType}/${version}/manifest.json`;
+                const keyInfo = customKey || `${this.getBuildTypePrefix(buildType)}${version}/manifest.json`;
                 throw new Error(`Manifest not found: ${keyInfo}`);
             }
             console.error('[R2Uploader] Error getting manifest:', error);
@@ -589,9 +1385,12 @@ class R2Uploader {
      * @param {string} buildType - Build type (production/staging)
      * @param {Function} onProgress - Progress callback
      * @param {Object} localManifest - Optional local manifest object (if provided, skips R2 fetch)
+     * @param {Object} options - { promotedBy }: signed-in user, stored as promoted-by metadata of the latest manifest
      * @returns {Promise<Object>} Result object with success status
      */
-    async promoteVersion(version, buildType = 'production', onProgress = null, localManifest = null) {
+    async promoteVersion(version, buildType = 'production', onProgress = null, localManifest = null, options = {}) {
+        const { promotedBy = null } = options;
+        
         try {
             let manifest;
             
@@ -644,11 +1443,10 @@ class R2Uploader {
             // Ensure buildType is set
             manifest.buildType = buildType;
             
-            // Update chunk URLs to point to the correct version
+            // Update chunk URLs to point to the shared chunk store
             manifest.files.forEach(file => {
                 file.chunks.forEach(chunk => {
-                    const hashPrefix = chunk.hash.substring(0, 2);
-                    chunk.url = `${buildType}/${version}/chunks/${hashPrefix}/${chunk.hash}`;
+                    chunk.url = this.getChunkKey(chunk, buildType);
                 });
             });
             
@@ -660,7 +1458,7 @@ class R2Uploader {
             }
             
             // Upload as latest manifest
-            const latestKey = `${buildType}/roleplayai_manifest.json`;
+            const latestKey = `${this.getBuildTypePrefix(buildType)}roleplayai_manifest.json`;
             await this.uploadBuffer(
                 Buffer.from(updatedManifestData, 'utf-8'),
                 latestKey,
@@ -671,7 +1469,8 @@ class R2Uploader {
                             message: `Uploading latest manifest...` 
                         });
                     }
-                }
+                },
+                { metadata: promotedBy ? { [PROMOTED_BY_METADATA_KEY]: promotedBy } : undefined }
             );
             
             if (onProgress) {
@@ -684,6 +1483,7 @@ class R2Uploader {
                 buildType: buildType,
                 latestKey: latestKey,
                 totalChunks: verificationResult.totalChunks,
+                promotedBy,
                 message: `Version ${version} has been promoted as the latest ${buildType} version.`
             };
         } catch (error) {
@@ -694,7 +1494,115 @@ class R2Uploader {
             throw error;
         }
     }
+    
+    /**
+     * Copy chunks uploaded under per-version prefixes ([buildType]/[version]/chunks/...)
+     * into the shared chunk store ([buildType]/chunks/...)
+     * With a key prefix, per-version chunks under the unprefixed [buildType]/ are copied as well
+     * Source objects are left in place so manifests that still point at them keep working.
+     * @param {string} buildType - Build type (production/staging)
+     * @param {Object} options - { dryRun } - dryRun only reports what would be copied
+     * @param {Function} onProgress - Progress callback
+     */
+    async migrateChunkStore(buildType = 'production', options = {}, onProgress = null) {
+        const { dryRun = false } = options;
+        const storePrefix = `${this.getBuildTypePrefix(buildType)}${CHUNK_STORE_DIR}/`;
+        
+        if (onProgress) {
+            onProgress({ percentage: 0, message: `Listing shared chunk store ${storePrefix}...` });
+        }
+        
+        const storeKeys = new Set((await this.listObjects(storePrefix)).map(object => object.key));
+        
+        // [version]/chunks/[hash-prefix]/[object name] under the build type folder
+        // (and under the unprefixed one for chunks uploaded before the profile had a key prefix)
+        const versionChunkPattern = /^([^/]+)\/chunks\/([^/]+)\/([^/]+)$/;
+        const toCopy = new Map(); // store key -> { sourceKey, chunkHash }
+        let versionChunks = 0;
+        let alreadyInStore = 0;
+        
+        for (const buildTypePrefix of this.getVersionChunkPrefixes(buildType)) {
+            if (onProgress) {
+                onProgress({ percentage: 5, message: `Listing per-version chunks under ${buildTypePrefix}...` });
+            }
+            
+            for (const object of await this.listObjects(buildTypePrefix)) {
+                const match = object.key.slice(buildTypePrefix.length).match(versionChunkPattern);
+                if (!match || match[1] === CHUNK_STORE_DIR) {
+                    continue;
+                }
+                
+                versionChunks++;
+                const storeKey = `${storePrefix}${match[2]}/${match[3]}`;
+                if (storeKeys.has(storeKey)) {
+                    alreadyInStore++;
+                } else if (!toCopy.has(storeKey)) {
+                    // Object name is the chunk hash plus the compression extension
+                    toCopy.set(storeKey, { sourceKey: object.key, chunkHash: match[3].split('.')[0] });
+                }
+            }
+        }
+        
+        console.log(`[R2Uploader] Chunk store migration (${buildType}): ${versionChunks} version chunks, ${toCopy.size} to copy, ${alreadyInStore} already in store`);
+        
+        const results = {
+            buildType,
+            dryRun,
+            versionChunks,
+            alreadyInStore,
+            toCopy: toCopy.size,
+            copied: 0,
+            failed: []
+        };
+        
+        if (dryRun) {
+            if (onProgress) {
+                onProgress({ percentage: 100, message: `Dry run: ${toCopy.size} chunks would be copied into ${storePrefix}` });
+            }
+            return results;
+        }
+        
+        let done = 0;
+        for (const [storeKey, { sourceKey, chunkHash }] of toCopy) {
+            try {
+                // Per-version chunks predate the hash metadata - add it so verification can use it
+                await this.copyObject(sourceKey, storeKey, { metadata: { [CHUNK_HASH_METADATA_KEY]: chunkHash } });
+                results.copied++;
+            } catch (error) {
+                console.error(`[R2Uploader] Failed to copy ${sourceKey} to ${storeKey}:`, error);
+                results.failed.push({ sourceKey, key: storeKey, error: error.message });
+            }
+            
+            done++;
+            if (onProgress) {
+                onProgress({
+                    percentage: 5 + (done / toCopy.size) * 95,
+                    message: `Copying chunks: ${done}/${toCopy.size} (${results.failed.length} failed)`
+                });
+            }
+        }
+        
+        if (onProgress) {
+            onProgress({
+                percentage: 100,
+                message: `Migration complete! ${results.copied} copied, ${alreadyInStore} already in store, ${results.failed.length} failed`,
+                error: results.failed.length > 0
+            });
+        }
+        
+        return results;
+    }
 }
 
-module.exports = { R2Uploader };
+module.exports = {
+    R2Uploader,
+    CHUNK_STORE_DIR,
+    MULTIPART_THRESHOLD,
+    MULTIPART_PART_SIZE,
+    DEFAULT_RETRY_POLICY,
+    CHUNK_HASH_METADATA_KEY,
+    getAffectedFiles,
+    isRetryableError,
+    isAbortError
+};
 
@@ -3,47 +3,121 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { R2Uploader } = require('./r2Uploader');
+const { R2Uploader, isAbortError } = require('./r2Uploader');
 const { detectDelta } = require('./deltaDetector');
-const { parseManifest } = require('./manifestUtils');
+const { parseManifest, getAllChunks } = require('./manifestUtils');
+const { getChunkObjectName } = require('./chunkManager');
+const { rowsToCsv, writeReportFile } = require('./packageScan');
+
+// Minimum interval between byte progress updates sent while chunks are uploading
+const BYTE_PROGRESS_INTERVAL_MS = 250;
+
+// Upload speed is averaged over this window
+const THROUGHPUT_WINDOW_MS = 10000;
+
+// Number of chunks uploaded in parallel (settable from the Upload tab)
+const DEFAULT_UPLOAD_CONCURRENCY = 8;
+const MAX_UPLOAD_CONCURRENCY = 32;
 
 /**
- * Derive bucket name from base bucket name and build type
- * If bucket name ends with base name (e.g., "vrcentre-roleplay-ai-bucket"), append -prod or -staging
- * Otherwise, use bucket name as-is
+ * Run an async worker over items with at most `concurrency` in flight
+ * Resolves when every item has been processed (the worker handles its own errors)
  */
-function deriveBucketName(baseBucketName, buildType) {
-    const baseName = 'vrcentre-roleplay-ai-bucket';
+async function runWithConcurrency(items, concurrency, worker) {
+    let nextIndex = 0;
     
-    // If bucket name is exactly the base name, append build type suffix
-    if (baseBucketName === baseName) {
-        return `${baseBucketName}-${buildType === 'production' ? 'prod' : 'staging'}`;
-    }
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    };
     
-    // If bucket already has -prod or -staging suffix, use as-is
-    if (baseBucketName.endsWith('-prod') || baseBucketName.endsWith('-staging')) {
-        return baseBucketName;
+    const runners = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+}
+
+/**
+ * Rolling average of a growing byte counter (bytes per second over the last windowMs)
+ */
+class ThroughputMeter {
+    constructor(windowMs = THROUGHPUT_WINDOW_MS) {
+        this.windowMs = windowMs;
+        this.samples = [];
     }
     
-    // Otherwise, append build type suffix
-    return `${baseBucketName}-${buildType === 'production' ? 'prod' : 'staging'}`;
+    /**
+     * Record the counter value and return the current rate
+     */
+    update(bytes, now = Date.now()) {
+        this.samples.push({ time: now, bytes });
+        while (this.samples.length > 2 && now - this.samples[1].time >= this.windowMs) {
+            this.samples.shift();
+        }
+        
+        const first = this.samples[0];
+        const elapsed = (now - first.time) / 1000;
+        return elapsed > 0 ? Math.max(0, (bytes - first.bytes) / elapsed) : 0;
+    }
+}
+
+/**
+ * Format seconds as "1h 02m", "3m 05s" or "12s"
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    if (minutes > 0) {
+        return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+    }
+    return `${secs}s`;
+}
+
+/**
+ * Size of a chunk as stored in R2 (compressed size for compressed chunks)
+ */
+function getStoredSize(chunk) {
+    return chunk.compression ? chunk.compressedSize : chunk.size;
+}
+
+/**
+ * Check whether an S3 error means the object does not exist
+ */
+function isNotFoundError(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
 }
 
 /**
  * Upload manager class
+ * options.bandwidthLimiter: BandwidthLimiter shared by all chunk uploads (adjustable while uploading)
  */
 class UploadManager {
-    constructor(r2Config) {
+    constructor(r2Config, options = {}) {
         this.uploader = new R2Uploader(r2Config);
+        this.uploader.bandwidthLimiter = options.bandwidthLimiter || null;
         this.isPaused = false;
         this.pauseResumePromise = null;
         this.pauseResolve = null;
+        this.isCancelled = false;
+        this.abortController = new AbortController();
+        this.uploader.abortSignal = this.abortController.signal;
     }
     
     /**
      * Pause the upload
      */
     pause() {
+        if (this.isPaused) {
+            return;
+        }
         this.isPaused = true;
         // Create a promise that will be resolved when resume is called
         this.pauseResumePromise = new Promise((resolve) => {
@@ -63,6 +137,20 @@ class UploadManager {
         }
     }
     
+    /**
+     * Cancel the upload
+     * In-flight requests are aborted, no further chunks are started and the manifest is not uploaded
+     */
+    cancel() {
+        if (this.isCancelled) {
+            return;
+        }
+        this.isCancelled = true;
+        this.abortController.abort();
+        // Release chunks waiting for resume so the upload can finish
+        this.resume();
+    }
+    
     /**
      * Wait if paused
      */
@@ -72,8 +160,56 @@ class UploadManager {
         }
     }
     
+    /**
+     * Clamp the requested number of parallel chunk uploads to 1..MAX_UPLOAD_CONCURRENCY
+     */
+    clampConcurrency(concurrency) {
+        const value = parseInt(concurrency, 10);
+        if (!Number.isFinite(value)) {
+            return DEFAULT_UPLOAD_CONCURRENCY;
+        }
+        return Math.min(Math.max(value, 1), MAX_UPLOAD_CONCURRENCY);
+    }
+    
+    /**
+     * Upload one chunk, or carry it over from copyFromVersion with a server-side copy (task.copy)
+     * onProgress receives the byte progress events of the upload
+     * Returns the R2Uploader result ({ key, skipped?, copied?, reason? })
+     */
+    async processChunkTask(task, chunksDir, buildType, copyFromVersion, onProgress = null) {
+        const { chunk, copy } = task;
+        
+        if (copy) {
+            try {
+                return await this.uploader.copyChunkFromVersion(chunk, copyFromVersion, buildType);
+            } catch (error) {
+                // Not under the old version's prefix either - upload it from the local chunk store
+                if (!isNotFoundError(error)) {
+                    throw error;
+                }
+            }
+        }
+        
+        const hashPrefix = chunk.hash.substring(0, 2);
+        const chunkPath = path.join(chunksDir, hashPrefix, chunk.hash);
+        
+        // Check if chunk file exists
+        try {
+            await fs.access(chunkPath);
+        } catch {
+            throw new Error(`Chunk file not found: ${chunkPath}`);
+        }
+        
+        return await this.uploader.uploadChunk(chunk, chunkPath, buildType, onProgress);
+    }
+    
     /**
      * Upload chunks and manifest to R2
+     * Chunks are uploaded by a pool of `concurrency` parallel uploads
+     * The latest manifest is only updated when every chunk is in R2 (or publishAnyway is set),
+     * otherwise the result is { success: false, state: 'failed', failedStep, error, stats }
+     * stats.failedChunksDetails lists the failed chunks ({ hash, key, error }); pass their hashes
+     * as retryChunks to process only those chunks again
      */
     async upload(options, onProgress = null) {
         const {
@@ -82,27 +218,27 @@ class UploadManager {
             mode = 'delta', // 'delta' or 'full'
             chunksDir,
             version,
-            buildType: providedBuildType = 'production'
+            buildType = 'production', // Build folder of the selected R2 profile
+            concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+            publishAnyway = false, // Move the latest pointer even if chunks failed or are missing
+            session = null, // UploadSession journal - chunks it already recorded are not processed again
+            retryChunks = null, // Chunk hashes to process (Retry failed), other chunks are left as they are
+            uploadedBy = null // Signed-in user, recorded in the version manifest's metadata
         } = options;
         
         // Read new manifest
         const newManifestData = await fs.readFile(newManifestPath, 'utf-8');
         const newManifest = JSON.parse(newManifestData);
         
-        // Determine buildType: use manifest's buildType if present, otherwise use provided
-        let buildType = newManifest.buildType || providedBuildType;
-        
-        // Warn if mismatch
-        if (newManifest.buildType && newManifest.buildType !== providedBuildType) {
-            console.warn(`Warning: Manifest buildType (${newManifest.buildType}) doesn't match provided buildType (${providedBuildType}). Using manifest buildType.`);
-        }
-        
-        // Ensure buildType is set in manifest
-        if (!newManifest.buildType) {
-            newManifest.buildType = buildType;
+        // The profile decides the build folder (the Upload tab confirms a manifest prepared for the other one)
+        if (newManifest.buildType && newManifest.buildType !== buildType) {
+            console.warn(`Warning: Manifest buildType (${newManifest.buildType}) doesn't match the profile's buildType (${buildType}). Uploading to ${buildType}.`);
         }
+        newManifest.buildType = buildType;
         
         let chunksToUpload = [];
+        let chunksToCopy = [];
+        let copyFromVersion = null;
         let filesToUpload = [];
         
         if (mode === 'delta' && oldManifestPath) {
@@ -124,10 +260,24 @@ class UploadManager {
             chunksToUpload = delta.chunksToUploadDetails;
             filesToUpload = [...delta.newFiles, ...delta.changedFiles];
             
+            // Unchanged chunks were uploaded with the old version. If that happened before the
+            // shared chunk store, they only exist under the old version's prefix and are carried
+            // over with a server-side copy.
+            const uploadHashes = new Set(delta.chunksToUpload);
+            const seenObjects = new Set();
+            for (const chunk of getAllChunks(newManifest)) {
+                const objectName = getChunkObjectName(chunk);
+                if (!uploadHashes.has(chunk.hash) && !seenObjects.has(objectName)) {
+                    seenObjects.add(objectName);
+                    chunksToCopy.push(chunk);
+                }
+            }
+            copyFromVersion = oldManifest.version;
+            
             if (onProgress) {
                 onProgress({ 
                     percentage: 5, 
-                    message: `Found ${chunksToUpload.length} chunks to upload (${delta.stats.newFilesCount} new, ${delta.stats.changedFilesCount} changed files)` 
+                    message: `Found ${chunksToUpload.length} chunks to upload and ${chunksToCopy.length} unchanged chunks to carry over (${delta.stats.newFilesCount} new, ${delta.stats.changedFilesCount} changed files)` 
                 });
             }
         } else {
@@ -136,7 +286,6 @@ class UploadManager {
                 onProgress({ percentage: 0, message: 'Preparing full upload...' });
             }
             
-            const { getAllChunks } = require('./manifestUtils');
             chunksToUpload = getAllChunks(newManifest);
             filesToUpload = newManifest.files;
             
@@ -148,96 +297,315 @@ class UploadManager {
             }
         }
         
-        // Upload chunks
-        const totalChunks = chunksToUpload.length;
+        // List the chunk store once - skip decisions then need no HEAD request per chunk
+        if (onProgress) {
+            onProgress({ percentage: 5, message: 'Listing chunks already in R2...' });
+        }
+        let inventory = null;
+        try {
+            inventory = await this.uploader.loadChunkInventory(buildType);
+        } catch (error) {
+            // Cancelled while listing - no chunk is started and the cancel result is returned below
+            if (!(this.isCancelled && isAbortError(error))) {
+                throw error;
+            }
+        }
+        if (onProgress && !this.isCancelled) {
+            onProgress({
+                percentage: 5,
+                message: inventory
+                    ? `Found ${inventory.size} chunks in the ${buildType} chunk store`
+                    : 'Could not list the chunk store - checking chunks one by one'
+            });
+        }
+        
+        // Upload new chunks, then carry unchanged chunks over
+        // Chunks repeated within or across files share one object - keep one task per object key
+        const taskKeys = new Set();
+        let chunkTasks = [
+            ...chunksToUpload.map(chunk => ({ chunk, copy: false })),
+            ...chunksToCopy.map(chunk => ({ chunk, copy: true }))
+        ].filter(task => {
+            const objectName = getChunkObjectName(task.chunk);
+            if (taskKeys.has(objectName)) {
+                return false;
+            }
+            taskKeys.add(objectName);
+            return true;
+        });
+        if (retryChunks) {
+            const retryHashes = new Set(retryChunks);
+            chunkTasks = chunkTasks.filter(task => retryHashes.has(task.chunk.hash));
+            if (onProgress) {
+                onProgress({ percentage: 5, message: `Retrying ${chunkTasks.length} failed chunks` });
+            }
+        }
+        const totalChunks = chunkTasks.length;
+        const totalBytes = chunkTasks.reduce((sum, task) => sum + getStoredSize(task.chunk), 0);
+        let finishedBytes = 0; // Stored size of chunks that are done, whatever the outcome
+        const activeChunks = new Map(); // task -> { hash, bytesUploaded, size } of chunks in flight
+        const throughputMeter = new ThroughputMeter();
+        let completedChunks = 0;
         let uploadedChunks = 0;
+        let copiedChunks = 0;
         let skippedChunks = 0;
         let skippedChunksDetails = [];
         let failedChunks = 0;
+        let failedChunksDetails = [];
+        let resumedChunks = 0;
+        let cancelledChunks = 0;
+        let bytesUploaded = 0;
+        let lastByteReport = 0;
         
-        for (let i = 0; i < chunksToUpload.length; i++) {
-            // Check if paused before processing each chunk
+        // Progress is measured in bytes: chunks in flight count with the bytes sent so far,
+        // finished chunks (also skipped, copied or failed ones) with their full size.
+        // chunk describes a chunk that changed state: { hash, state: 'uploading' | 'uploaded' | 'copied' | 'skipped' | 'resumed' | 'failed', error? }
+        const reportChunkProgress = (message = null, error = false, chunk = null) => {
+            if (onProgress) {
+                const statusMessage = this.isPaused ? ' (Paused)' : '';
+                lastByteReport = Date.now();
+                
+                const active = Array.from(activeChunks.values());
+                const bytesDone = Math.min(finishedBytes + active.reduce((sum, entry) => sum + entry.bytesUploaded, 0), totalBytes);
+                const throughput = throughputMeter.update(bytesUploaded);
+                const etaSeconds = throughput > 0 ? (totalBytes - bytesDone) / throughput : null;
+                const speed = throughput > 0
+                    ? `${(throughput / 1024 / 1024).toFixed(1)} MB/s, ETA ${formatDuration(etaSeconds)}`
+                    : 'waiting for data';
+                
+                onProgress({ 
+                    percentage: 5 + (totalBytes > 0 ? bytesDone / totalBytes : completedChunks / Math.max(totalChunks, 1)) * 80, 
+                    message: message || `Uploading chunks: ${completedChunks}/${totalChunks}, ${(bytesDone / 1024 / 1024).toFixed(1)}/${(totalBytes / 1024 / 1024).toFixed(1)} MB (${speed}) - ${uploadedChunks} uploaded, ${copiedChunks} copied, ${skippedChunks} skipped, ${resumedChunks > 0 ? `${resumedChunks} resumed, ` : ''}${failedChunks} failed${statusMessage}`,
+                    bytesUploaded,
+                    bytesDone,
+                    totalBytes,
+                    throughput,
+                    etaSeconds,
+                    chunkStates: {
+                        total: totalChunks,
+                        queued: totalChunks - completedChunks - active.length,
+                        active: active.length,
+                        done: completedChunks - failedChunks,
+                        failed: failedChunks
+                    },
+                    activeChunks: active,
+                    chunk,
+                    error
+                });
+            }
+        };
+        
+        // Transient R2 errors are retried by the uploader - log each retry and count them in the stats
+        const retriesAtStart = this.uploader.retryCount;
+        this.uploader.onRetry = ({ label, attempt, maxAttempts, delayMs, error }) => {
+            reportChunkProgress(`Retrying ${label} in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${maxAttempts} failed: ${error.message || error.name})`);
+        };
+        
+        await runWithConcurrency(chunkTasks, this.clampConcurrency(concurrency), async (task) => {
+            // Pause is honoured between chunks - chunks already in flight finish first
             await this.waitIfPaused();
-            
-            // Check again after waiting (in case it was paused)
-            if (this.isPaused) {
-                await this.waitIfPaused();
+            if (this.isCancelled) {
+                return;
             }
             
-            const chunk = chunksToUpload[i];
-            const hashPrefix = chunk.hash.substring(0, 2);
-            const chunkPath = path.join(chunksDir, hashPrefix, chunk.hash);
+            const { chunk } = task;
+            const objectName = getChunkObjectName(chunk);
             
+            // Already in R2 according to the session journal (resumed session)
+            if (session && session.isCompleted(objectName)) {
+                resumedChunks++;
+                completedChunks++;
+                finishedBytes += getStoredSize(chunk);
+                reportChunkProgress(null, false, { hash: chunk.hash, state: 'resumed' });
+                return;
+            }
+            
+            let taskBytes = 0;
+            const activeChunk = { hash: chunk.hash, bytesUploaded: 0, size: getStoredSize(chunk) };
+            activeChunks.set(task, activeChunk);
+            reportChunkProgress(null, false, { hash: chunk.hash, state: 'uploading' });
             try {
-                // Check if chunk file exists
-                try {
-                    await fs.access(chunkPath);
-                } catch {
-                    throw new Error(`Chunk file not found: ${chunkPath}`);
-                }
-                
-                const result = await this.uploader.uploadChunk(
-                    chunk.hash,
-                    chunkPath,
-                    version,
-                    buildType,
-                    (progress) => {
-                        if (progress.skipped) {
-                            skippedChunks++;
-                            if (progress.chunkHash) {
-                                skippedChunksDetails.push({
-                                    hash: progress.chunkHash,
-                                    reason: progress.reason || 'already_exists',
-                                    key: progress.key
-                                });
-                            }
-                        }
+                const result = await this.processChunkTask(task, chunksDir, buildType, copyFromVersion, (progress) => {
+                    if (progress.bytesUploaded === undefined) {
+                        return;
+                    }
+                    bytesUploaded += progress.bytesUploaded - taskBytes;
+                    taskBytes = progress.bytesUploaded;
+                    activeChunk.bytesUploaded = taskBytes;
+                    if (Date.now() - lastByteReport >= BYTE_PROGRESS_INTERVAL_MS) {
+                        reportChunkProgress();
                     }
-                );
+                });
+                activeChunks.delete(task);
+                finishedBytes += activeChunk.size;
                 
-                if (!result.skipped) {
+                if (result.copied) {
+                    copiedChunks++;
+                } else if (result.skipped) {
+                    skippedChunks++;
+                    skippedChunksDetails.push({
+                        hash: chunk.hash,
+                        reason: result.reason || 'already_exists',
+                        key: result.key
+                    });
+                } else {
                     uploadedChunks++;
                 }
                 
-                if (onProgress) {
-                    const percentage = 5 + ((i + 1) / totalChunks) * 80;
-                    const statusMessage = this.isPaused ? ' (Paused)' : '';
-                    onProgress({ 
-                        percentage, 
-                        message: `Uploading chunks: ${i + 1}/${totalChunks} (${uploadedChunks} uploaded, ${skippedChunks} skipped)${statusMessage}` 
-                    });
+                if (session) {
+                    session.recordChunk(objectName, result.copied ? 'copied' : result.skipped ? 'skipped' : 'uploaded');
                 }
+                
+                completedChunks++;
+                reportChunkProgress(null, false, {
+                    hash: chunk.hash,
+                    state: result.copied ? 'copied' : result.skipped ? 'skipped' : 'uploaded'
+                });
             } catch (error) {
+                activeChunks.delete(task);
+                
+                // Aborted by cancel - neither failed nor done
+                if (this.isCancelled && isAbortError(error)) {
+                    cancelledChunks++;
+                    bytesUploaded -= taskBytes;
+                    return;
+                }
+                
                 const errorMessage = error.message || error.toString();
                 console.error(`Failed to upload chunk ${chunk.hash}:`, error);
-                console.error(`Bucket: ${this.uploader.config.bucket}, Key: ${buildType}/${version}/chunks/${chunk.hash.substring(0, 2)}/${chunk.hash}`);
+                console.error(`Bucket: ${this.uploader.config.bucket}, Key: ${this.uploader.getChunkKey(chunk, buildType)}`);
                 failedChunks++;
+                failedChunksDetails.push({
+                    hash: chunk.hash,
+                    key: this.uploader.getChunkKey(chunk, buildType),
+                    error: errorMessage
+                });
+                // Bytes of a failed upload do not count as sent
+                bytesUploaded -= taskBytes;
+                completedChunks++;
+                finishedBytes += activeChunk.size;
                 
-                if (onProgress) {
-                    onProgress({ 
-                        percentage: 5 + ((i + 1) / totalChunks) * 80, 
-                        message: `Error uploading chunk ${chunk.hash.substring(0, 8)}...: ${errorMessage}`,
-                        error: true
-                    });
+                if (session) {
+                    session.recordFailure(objectName, chunk.hash, errorMessage);
                 }
+                
+                reportChunkProgress(`Error uploading chunk ${chunk.hash.substring(0, 8)}...: ${errorMessage}`, true, { hash: chunk.hash, state: 'failed', error: errorMessage });
+            }
+        });
+        
+        if (session) {
+            await session.flush();
+        }
+        
+        const stats = {
+            totalChunks,
+            uploadedChunks,
+            copiedChunks,
+            skippedChunks,
+            bytesUploaded,
+            totalBytes,
+            skippedChunksDetails,
+            failedChunks,
+            failedChunksDetails,
+            resumedChunks,
+            retries: this.uploader.retryCount - retriesAtStart,
+            concurrency: this.clampConcurrency(concurrency),
+            filesProcessed: filesToUpload.length
+        };
+        
+        // Cancelled - report what was done, nothing is published
+        // (outcome describes the latest manifest when the cancel interrupted moving it)
+        const cancelResult = (outcome = 'The manifest was not published.') => {
+            stats.cancelledChunks = cancelledChunks;
+            stats.notStartedChunks = totalChunks - completedChunks - cancelledChunks;
+            const error = `Upload cancelled after ${completedChunks}/${totalChunks} chunks. ${outcome}`;
+            if (onProgress) {
+                onProgress({ percentage: 100, message: error, error: true });
+            }
+            return { success: false, state: 'cancelled', cancelled: true, published: false, error, stats };
+        };
+        
+        if (this.isCancelled) {
+            return cancelResult();
+        }
+        
+        // Publish in order: verify chunks, upload the version manifest, then move the latest pointer.
+        // Without publishAnyway a problem stops the publish and launchers stay on the previous version.
+        const problems = [];
+        const failPublish = (step) => {
+            const error = `Upload not published (${step}): ${problems.join(', ')}. The latest manifest was not changed - retry the failed chunks or publish anyway.`;
+            if (onProgress) {
+                onProgress({ percentage: 100, message: error, error: true });
+            }
+            return { success: false, state: 'failed', failedStep: step, published: false, error, stats };
+        };
+        
+        if (failedChunks > 0) {
+            problems.push(`${failedChunks} chunks failed to upload`);
+            if (!publishAnyway) {
+                return failPublish('upload');
             }
         }
         
-        // Upload manifest (manifest URLs will be updated by uploadManifest)
         if (onProgress) {
-            onProgress({ percentage: 85, message: 'Uploading manifest...' });
+            onProgress({ percentage: 85, message: 'Verifying chunks in R2...' });
+        }
+        
+        let versionKey;
+        try {
+            const verification = await this.uploader.verifyManifest(newManifest, buildType, (progress) => {
+                if (onProgress) {
+                    onProgress({ ...progress, percentage: 85 + progress.percentage * 0.05 });
+                }
+            });
+            stats.missingChunks = verification.missingChunks.length;
+            
+            if (!verification.allChunksExist) {
+                problems.push(`${verification.missingChunks.length} chunks are missing in R2`);
+                if (!publishAnyway) {
+                    return failPublish('verify');
+                }
+            }
+            
+            // Upload version manifest (manifest URLs will be updated by uploadManifest)
+            if (onProgress) {
+                onProgress({ percentage: 90, message: 'Uploading version manifest...' });
+            }
+            
+            ({ versionKey } = await this.uploader.uploadManifest(newManifestPath, version, buildType, onProgress, { updateLatest: false, uploadedBy }));
+            
+            // Upload version file
+            const versionPath = path.join(path.dirname(newManifestPath), 'version.json');
+            if (await fs.access(versionPath).then(() => true).catch(() => false)) {
+                if (onProgress) {
+                    onProgress({ percentage: 93, message: 'Uploading version file...' });
+                }
+                await this.uploader.uploadVersion(versionPath, version, buildType, onProgress);
+            }
+        } catch (error) {
+            if (this.isCancelled && isAbortError(error)) {
+                return cancelResult();
+            }
+            throw error;
         }
         
-        await this.uploader.uploadManifest(newManifestPath, version, buildType, onProgress);
+        if (this.isCancelled) {
+            return cancelResult();
+        }
         
-        // Upload version file
+        // Move the latest pointer last
         if (onProgress) {
-            onProgress({ percentage: 90, message: 'Uploading version file...' });
+            onProgress({ percentage: 95, message: problems.length > 0 ? `Publishing anyway despite: ${problems.join(', ')}` : 'Publishing as latest version...', error: problems.length > 0 });
         }
         
-        const versionPath = path.join(path.dirname(newManifestPath), 'version.json');
-        if (await fs.access(versionPath).then(() => true).catch(() => false)) {
-            await this.uploader.uploadVersion(versionPath, version, buildType, onProgress);
+        let latestKey;
+        try {
+            ({ latestKey } = await this.uploader.updateLatestManifest(version, buildType));
+        } catch (error) {
+            if (this.isCancelled && isAbortError(error)) {
+                return cancelResult(`Publishing was interrupted - check whether the latest manifest points to ${version}.`);
+            }
+            throw error;
         }
         
         if (onProgress) {
@@ -246,17 +614,43 @@ class UploadManager {
         
         return {
             success: true,
-            stats: {
-                totalChunks,
-                uploadedChunks,
-                skippedChunks,
-                skippedChunksDetails,
-                failedChunks,
-                filesProcessed: filesToUpload.length
-            }
+            state: 'published',
+            published: true,
+            publishedAnyway: problems.length > 0,
+            problems,
+            versionKey,
+            latestKey,
+            latestUrl: this.uploader.getR2Url(latestKey),
+            uploadedBy,
+            stats
         };
     }
 }
 
-module.exports = { UploadManager, deriveBucketName };
+/**
+ * Convert a failure report to CSV (one row per failed chunk)
+ */
+function failureReportToCsv(report) {
+    const rows = [['hash', 'key', 'error']];
+    for (const failure of report.failures) {
+        rows.push([failure.hash, failure.key, failure.error]);
+    }
+    return rowsToCsv(rows);
+}
+
+/**
+ * Write the failed chunks of an upload as JSON or CSV (chosen by the file extension)
+ * report: { version, buildType, bucket, sessionId, state, error, failures: stats.failedChunksDetails }
+ */
+async function exportFailureReport(report, filePath) {
+    return writeReportFile(filePath, () => failureReportToCsv(report), { ...report, exportedAt: new Date().toISOString() });
+}
+
+module.exports = {
+    UploadManager,
+    failureReportToCsv,
+    exportFailureReport,
+    DEFAULT_UPLOAD_CONCURRENCY,
+    MAX_UPLOAD_CONCURRENCY
+};
 
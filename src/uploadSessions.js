@@ -0,0 +1,251 @@
+// uploadSessions.js
+// On-disk journal of upload sessions so interrupted uploads can be resumed after a restart
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Sessions that finished publishing are removed, everything else can be resumed
+const SESSION_STATUS = {
+    RUNNING: 'running',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed'
+};
+
+/**
+ * One upload session journal
+ *
+ * The journal is a JSON-lines file so a crash can lose at most the line being written:
+ * - { type: 'session', id, createdAt, options, manifestHash, bucket, endpoint } (first line)
+ * - { type: 'chunk', object, result } for every chunk that is in R2 (uploaded, copied or skipped)
+ * - { type: 'failed', object, hash, error } for every chunk that failed
+ * - { type: 'status', status, updatedAt, error? } when the session starts, fails or completes
+ */
+class UploadSession {
+    constructor(filePath, header) {
+        this.filePath = filePath;
+        this.id = header.id;
+        this.header = header;
+        this.status = SESSION_STATUS.RUNNING;
+        this.updatedAt = header.createdAt;
+        this.error = null;
+        this.completedObjects = new Map(); // object name -> result
+        this.failures = new Map(); // object name -> { hash, error }
+        this.writeQueue = Promise.resolve();
+    }
+    
+    get options() {
+        return this.header.options;
+    }
+    
+    /**
+     * Apply one journal entry
+     */
+    apply(entry) {
+        if (entry.type === 'chunk') {
+            this.completedObjects.set(entry.object, entry.result);
+            this.failures.delete(entry.object);
+        } else if (entry.type === 'failed') {
+            this.failures.set(entry.object, { hash: entry.hash, error: entry.error });
+        } else if (entry.type === 'status') {
+            this.status = entry.status;
+            this.updatedAt = entry.updatedAt;
+            this.error = entry.error || null;
+        }
+    }
+    
+    /**
+     * Append entries to the journal (writes are queued so they land in order)
+     */
+    append(...entries) {
+        const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+        this.writeQueue = this.writeQueue
+            .then(() => fs.appendFile(this.filePath, lines, 'utf-8'))
+            .catch(error => console.error(`[UploadSession] Failed to write journal ${this.filePath}:`, error));
+        return this.writeQueue;
+    }
+    
+    isCompleted(objectName) {
+        return this.completedObjects.has(objectName);
+    }
+    
+    recordChunk(objectName, result) {
+        const entry = { type: 'chunk', object: objectName, result };
+        this.apply(entry);
+        return this.append(entry);
+    }
+    
+    recordFailure(objectName, hash, error) {
+        const entry = { type: 'failed', object: objectName, hash, error };
+        this.apply(entry);
+        return this.append(entry);
+    }
+    
+    setStatus(status, error = null) {
+        const entry = { type: 'status', status, updatedAt: new Date().toISOString() };
+        if (error) {
+            entry.error = error;
+        }
+        this.apply(entry);
+        return this.append(entry);
+    }
+    
+    /**
+     * Wait for pending journal writes
+     */
+    async flush() {
+        await this.writeQueue;
+    }
+    
+    /**
+     * Summary shown in the Upload tab
+     */
+    summary() {
+        const { options } = this.header;
+        return {
+            id: this.id,
+            status: this.status,
+            createdAt: this.header.createdAt,
+            updatedAt: this.updatedAt,
+            error: this.error,
+            version: options.version,
+            buildType: options.buildType,
+            mode: options.mode,
+            newManifestPath: options.newManifestPath,
+            oldManifestPath: options.oldManifestPath,
+            bucket: this.header.bucket,
+            completedChunks: this.completedObjects.size,
+            failedChunks: this.failures.size,
+            failures: Array.from(this.failures.entries()).map(([object, failure]) => ({ object, ...failure }))
+        };
+    }
+}
+
+/**
+ * Directory of upload session journals (one <id>.jsonl file per session)
+ */
+class UploadSessionStore {
+    constructor(directory) {
+        this.directory = directory;
+    }
+    
+    getSessionPath(id) {
+        return path.join(this.directory, `${id}.jsonl`);
+    }
+    
+    /**
+     * Start a new session
+     * options are the upload options without the R2 config (credentials are never written to the journal)
+     */
+    async create(options, config = {}) {
+        await fs.mkdir(this.directory, { recursive: true });
+        
+        const header = {
+            type: 'session',
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            createdAt: new Date().toISOString(),
+            options,
+            manifestHash: await hashFile(options.newManifestPath),
+            bucket: config.bucket || null,
+            endpoint: config.endpoint || null
+        };
+        
+        const session = new UploadSession(this.getSessionPath(header.id), header);
+        await session.append(header);
+        await session.setStatus(SESSION_STATUS.RUNNING);
+        return session;
+    }
+    
+    /**
+     * Load a session by replaying its journal
+     */
+    async load(id) {
+        const filePath = this.getSessionPath(path.basename(id));
+        
+        let text;
+        try {
+            text = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Upload session not found: ${id}`);
+            }
+            throw error;
+        }
+        
+        const entries = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // Torn last line from a crash mid-write
+                console.warn(`[UploadSession] Ignoring unreadable journal line in ${filePath}`);
+            }
+        }
+        
+        if (entries.length === 0 || entries[0].type !== 'session') {
+            throw new Error(`Invalid upload session journal: ${filePath}`);
+        }
+        
+        // Terminate a torn line so entries appended on resume stay readable
+        if (!text.endsWith('\n')) {
+            await fs.appendFile(filePath, '\n', 'utf-8');
+        }
+        
+        const session = new UploadSession(filePath, entries[0]);
+        entries.slice(1).forEach(entry => session.apply(entry));
+        return session;
+    }
+    
+    /**
+     * Sessions that can be resumed (not completed), newest first
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        
+        const sessions = [];
+        for (const name of names.filter(name => name.endsWith('.jsonl'))) {
+            try {
+                const session = await this.load(path.basename(name, '.jsonl'));
+                if (session.status !== SESSION_STATUS.COMPLETED) {
+                    sessions.push(session.summary());
+                }
+            } catch (error) {
+                console.warn(`[UploadSession] Skipping ${name}: ${error.message}`);
+            }
+        }
+        
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+    
+    /**
+     * Delete a session journal
+     */
+    async remove(id) {
+        await fs.rm(this.getSessionPath(path.basename(id)), { force: true });
+    }
+}
+
+/**
+ * SHA-256 of a file, used to detect a manifest that changed since the session started
+ */
+async function hashFile(filePath) {
+    const data = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+    UploadSession,
+    UploadSessionStore,
+    SESSION_STATUS,
+    hashFile
+};
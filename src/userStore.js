@@ -0,0 +1,246 @@
+// userStore.js
+// Uploader accounts with salted scrypt password hashes, saved with electron-store
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Settings file in the userData directory
+const STORE_NAME = 'users';
+
+// scrypt cost parameters (stored with each hash so they can be raised later)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Letters, digits, '.', '_' and '-' (usernames end up in R2 object metadata)
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+
+// Failed sign-ins in a row before an account is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Same message for unknown users, wrong passwords and locked accounts
+const INVALID_LOGIN_MESSAGE = 'Invalid username or password';
+
+async function hashPassword(password, salt, params = SCRYPT_PARAMS) {
+    const { N, r, p, keyLength } = params;
+    const hash = await scrypt(password, salt, keyLength, { N, r, p });
+    return hash.toString('base64');
+}
+
+/**
+ * Failed sign-in - the message never tells whether the account exists or is locked,
+ * reason does (for the audit log only)
+ */
+function loginError(reason) {
+    const error = new Error(INVALID_LOGIN_MESSAGE);
+    error.reason = reason;
+    return error;
+}
+
+function validateUsername(username) {
+    if (!USERNAME_PATTERN.test(username || '')) {
+        throw new Error('Usernames are 3-32 characters: letters, digits, ".", "_" or "-"');
+    }
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+/**
+ * Uploader accounts
+ * Users are kept as { username, admin, salt, hash, params, failedAttempts, lockedUntil, createdAt, lastLoginAt }
+ * The first account is created by the first-run setup and is an administrator; administrators manage the others
+ */
+class UserStore {
+    constructor(store) {
+        this.store = store;
+    }
+    
+    /**
+     * Open the store in the main process
+     */
+    static async open() {
+        // electron-store is an ES module
+        const { default: Store } = await import('electron-store');
+        return new UserStore(new Store({ name: STORE_NAME }));
+    }
+    
+    getUsers() {
+        return this.store.get('users', []);
+    }
+    
+    setUsers(users) {
+        this.store.set('users', users);
+    }
+    
+    findUser(username) {
+        const name = String(username || '').toLowerCase();
+        return this.getUsers().find(user => user.username.toLowerCase() === name) || null;
+    }
+    
+    /**
+     * Replace a user (matched by username) with changes applied
+     */
+    updateUser(username, changes) {
+        this.setUsers(this.getUsers().map(user => (user.username === username ? { ...user, ...changes } : user)));
+    }
+    
+    /**
+     * User without password data (safe to send to the renderer)
+     */
+    describe(user) {
+        return {
+            username: user.username,
+            admin: Boolean(user.admin),
+            createdAt: user.createdAt,
+            lastLoginAt: user.lastLoginAt || null,
+            locked: Boolean(user.lockedUntil && user.lockedUntil > Date.now())
+        };
+    }
+    
+    list() {
+        return this.getUsers().map(user => this.describe(user));
+    }
+    
+    /**
+     * No accounts yet - the login window asks for the first administrator
+     */
+    needsSetup() {
+        return this.getUsers().length === 0;
+    }
+    
+    async createUser(username, password, admin) {
+        validateUsername(username);
+        validatePassword(password);
+        if (this.findUser(username)) {
+            throw new Error(`User "${username}" already exists`);
+        }
+        
+        const salt = crypto.randomBytes(SALT_BYTES).toString('base64');
+        const user = {
+            username,
+            admin: Boolean(admin),
+            salt,
+            hash: await hashPassword(password, salt),
+            params: SCRYPT_PARAMS,
+            failedAttempts: 0,
+            lockedUntil: null,
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+        
+        this.setUsers([...this.getUsers(), user]);
+        return this.describe(user);
+    }
+    
+    /**
+     * First-run setup: create the first administrator (only while there are no accounts)
+     */
+    async setupAdmin(username, password) {
+        if (!this.needsSetup()) {
+            throw new Error('An administrator has already been set up');
+        }
+        return this.createUser(username, password, true);
+    }
+    
+    async addUser({ username, password, admin = false }) {
+        return this.createUser(username, password, admin);
+    }
+    
+    /**
+     * Check a password; MAX_FAILED_ATTEMPTS wrong passwords in a row lock the account for LOCKOUT_MS
+     * Every failure throws INVALID_LOGIN_MESSAGE (see loginError)
+     * Returns the user (without password data)
+     */
+    async authenticate(username, password) {
+        const user = this.findUser(username);
+        if (!user) {
+            // Hash anyway so unknown usernames take as long as wrong passwords
+            await hashPassword(String(password || ''), 'unknown-user');
+            throw loginError('unknown user');
+        }
+        
+        // Locked accounts refuse even the right password, after the same hashing work
+        const passwordOk = await this.checkPassword(user, password);
+        if (user.lockedUntil && user.lockedUntil > Date.now()) {
+            const minutes = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+            throw loginError(`account locked for ${minutes} more minute${minutes === 1 ? '' : 's'}`);
+        }
+        
+        if (!passwordOk) {
+            const failedAttempts = (user.failedAttempts || 0) + 1;
+            if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+                this.updateUser(user.username, { failedAttempts: 0, lockedUntil: Date.now() + LOCKOUT_MS });
+                throw loginError(`wrong password, account locked for ${LOCKOUT_MS / 60000} minutes`);
+            }
+            this.updateUser(user.username, { failedAttempts });
+            throw loginError('wrong password');
+        }
+        
+        const changes = { failedAttempts: 0, lockedUntil: null, lastLoginAt: new Date().toISOString() };
+        this.updateUser(user.username, changes);
+        return this.describe({ ...user, ...changes });
+    }
+    
+    async checkPassword(user, password) {
+        const expected = Buffer.from(user.hash, 'base64');
+        const actual = Buffer.from(await hashPassword(String(password || ''), user.salt, user.params || SCRYPT_PARAMS), 'base64');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+    
+    /**
+     * Set a new password (also unlocks the account)
+     */
+    async setPassword(username, password) {
+        const user = this.findUser(username);
+        if (!user) {
+            throw new Error(`User not found: ${username}`);
+        }
+        validatePassword(password);
+        
+        const salt = crypto.randomBytes(SALT_BYTES).toString('base64');
+        this.updateUser(user.username, {
+            salt,
+            hash: await hashPassword(password, salt),
+            params: SCRYPT_PARAMS,
+            failedAttempts: 0,
+            lockedUntil: null
+        });
+    }
+    
+    /**
+     * Change one's own password (the current password is required)
+     */
+    async changePassword(username, currentPassword, newPassword) {
+        const user = this.findUser(username);
+        if (!user || !(await this.checkPassword(user, currentPassword))) {
+            throw new Error('The current password is not correct');
+        }
+        await this.setPassword(user.username, newPassword);
+    }
+    
+    /**
+     * Remove a user - the last administrator cannot be removed
+     */
+    removeUser(username) {
+        const user = this.findUser(username);
+        if (!user) {
+            throw new Error(`User not found: ${username}`);
+        }
+        if (user.admin && this.getUsers().filter(entry => entry.admin).length === 1) {
+            throw new Error('The last administrator cannot be removed');
+        }
+        this.setUsers(this.getUsers().filter(entry => entry.username !== user.username));
+    }
+}
+
+module.exports = {
+    UserStore
+};
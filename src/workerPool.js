@@ -0,0 +1,168 @@
+// workerPool.js
+// Fixed-size worker_threads pool for running CPU/IO heavy tasks off the main process
+
+const { Worker } = require('worker_threads');
+
+/**
+ * Worker pool class
+ *
+ * Message protocol (worker side):
+ * - receives { id, task }
+ * - posts { id, type: 'progress', data } any number of times
+ * - posts { id, type: 'result', result } or { id, type: 'error', message } once
+ */
+class WorkerPool {
+    constructor(workerScript, size, workerData = {}) {
+        this.workerScript = workerScript;
+        this.size = Math.max(1, size);
+        this.workerData = workerData;
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.nextTaskId = 0;
+        this.destroyed = false;
+        this.failure = null; // Set when replacement workers keep crashing - the pool runs no more tasks
+    }
+    
+    /**
+     * Start the worker threads
+     */
+    start() {
+        for (let i = 0; i < this.size; i++) {
+            this.addWorker();
+        }
+    }
+    
+    /**
+     * Create a worker thread and mark it idle
+     * replacement: the worker replaces one that crashed (it counts as fresh until it finishes a task)
+     */
+    addWorker(replacement = false) {
+        const worker = new Worker(this.workerScript, { workerData: this.workerData });
+        worker.currentTask = null;
+        worker.replacement = replacement;
+        
+        worker.on('message', (message) => this.handleMessage(worker, message));
+        worker.on('error', (error) => this.handleWorkerError(worker, error));
+        worker.on('exit', (code) => this.handleWorkerExit(worker, code));
+        
+        this.workers.push(worker);
+        this.idleWorkers.push(worker);
+    }
+    
+    /**
+     * Queue a task
+     * onProgress receives every progress message the worker posts for this task
+     * Returns a promise for the task result
+     */
+    run(task, onProgress = null) {
+        return new Promise((resolve, reject) => {
+            if (this.failure) {
+                reject(this.failure);
+                return;
+            }
+            this.queue.push({ id: this.nextTaskId++, task, onProgress, resolve, reject });
+            this.dispatch();
+        });
+    }
+    
+    /**
+     * Hand queued tasks to idle workers
+     */
+    dispatch() {
+        while (this.queue.length > 0 && this.idleWorkers.length > 0) {
+            const worker = this.idleWorkers.shift();
+            const entry = this.queue.shift();
+            worker.currentTask = entry;
+            worker.postMessage({ id: entry.id, task: entry.task });
+        }
+    }
+    
+    handleMessage(worker, message) {
+        const entry = worker.currentTask;
+        if (!entry || message.id !== entry.id) {
+            return;
+        }
+        
+        if (message.type === 'progress') {
+            if (entry.onProgress) {
+                entry.onProgress(message.data);
+            }
+            return;
+        }
+        
+        worker.currentTask = null;
+        worker.replacement = false;
+        this.idleWorkers.push(worker);
+        
+        if (message.type === 'result') {
+            entry.resolve(message.result);
+        } else {
+            entry.reject(new Error(message.message || 'Worker task failed'));
+        }
+        
+        this.dispatch();
+    }
+    
+    /**
+     * A worker crashed - fail its task and replace it so the pool keeps its size
+     * If a replacement crashes before finishing a task the worker cannot run here (e.g. the script
+     * fails to load): the pool fails its queued tasks and stops replacing workers
+     */
+    handleWorkerError(worker, error) {
+        // Already replaced (an uncaught error is followed by an exit)
+        if (this.destroyed || !this.workers.includes(worker)) {
+            return;
+        }
+        
+        const entry = worker.currentTask;
+        worker.currentTask = null;
+        
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
+        
+        if (entry) {
+            entry.reject(error);
+        }
+        
+        if (worker.replacement || this.failure) {
+            this.fail(error);
+            return;
+        }
+        
+        this.addWorker(true);
+        this.dispatch();
+    }
+    
+    /**
+     * Stop running tasks: queued and later tasks are rejected, tasks in flight on other workers finish
+     */
+    fail(error) {
+        if (!this.failure) {
+            this.failure = new Error(`Worker pool stopped - a replacement worker crashed before finishing a task: ${error.message}`);
+        }
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(entry => entry.reject(this.failure));
+    }
+    
+    /**
+     * A worker exited on its own (e.g. process.exit() or out of memory) - handled like a crash
+     */
+    handleWorkerExit(worker, code) {
+        this.handleWorkerError(worker, new Error(`Worker stopped with exit code ${code}`));
+    }
+    
+    /**
+     * Terminate all worker threads
+     */
+    async destroy() {
+        this.destroyed = true;
+        const workers = this.workers;
+        this.workers = [];
+        this.idleWorkers = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+module.exports = { WorkerPool };